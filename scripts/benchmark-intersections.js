@@ -0,0 +1,105 @@
+// Benchmarks the intersections generator over fixed seeds and word lists,
+// against the search it replaced, which is read from git history into a
+// temporary module rather than kept in the tree. The two count their step
+// budgets differently, so each run instead stops at its first complete grid
+// (or after TIME_LIMIT_MS): the time that takes is the difference in speed,
+// and the outcomes show whether either finds complete grids more often.
+//
+//   npm run bench
+import { execFileSync } from 'node:child_process'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import generateWordSearchGrid from '../src/utils/MultiWordMatrixGenerator.js'
+import { WORD_SETS } from '../src/data/wordSets.js'
+import { ALPHABETS } from '../src/data/alphabets.js'
+import { ALL_DIRECTIONS } from '../src/utils/directions.js'
+import { createRandom, getRandomUniqueItems } from '../src/utils/random.js'
+
+// The last commit before the search tracked word positions incrementally.
+const BASELINE_REV = '1b8f5de^'
+const GENERATOR_PATH = 'src/utils/MultiWordMatrixGenerator.js'
+
+const SEEDS = ['bench-1', 'bench-2', 'bench-3', 'bench-4', 'bench-5']
+const TIME_LIMIT_MS = 20000
+
+const SCENARIOS = [
+  { name: '10×10, 8 words, →↓', size: 10, count: 8, directions: ['H', 'V'] },
+  { name: '12×12, 10 words, →↓↘', size: 12, count: 10, directions: ['H', 'V', 'D'] },
+  { name: '15×15, 12 words, all', size: 15, count: 12, directions: ALL_DIRECTIONS },
+  { name: '15×15, 16 words, all', size: 15, count: 16, directions: ALL_DIRECTIONS },
+]
+
+// The old generator, with its imports of its sibling modules pointed at
+// today's copies of them in src/utils.
+const loadBaseline = async () => {
+  const root = fileURLToPath(new URL('..', import.meta.url))
+  const source = execFileSync('git', ['show', `${BASELINE_REV}:${GENERATOR_PATH}`], {
+    cwd: root,
+    encoding: 'utf8',
+  })
+  const utils = pathToFileURL(join(root, 'src/utils/')).href
+  const dir = mkdtempSync(join(tmpdir(), 'bench-baseline-'))
+  const file = join(dir, 'MultiWordMatrixGenerator.js')
+  writeFileSync(file, source.replace(/from '\.\/([^']+)'/g, (_, name) => `from '${utils}${name}'`))
+  try {
+    return (await import(pathToFileURL(file).href)).default
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const SEARCHES = [
+  { name: 'baseline', generate: await loadBaseline() },
+  { name: 'current', generate: generateWordSearchGrid },
+]
+
+const letters = ALPHABETS.en.split('')
+
+const pickWords = (size, count, seed) => {
+  const fitting = WORD_SETS.en.filter((word) => word.length >= 3 && word.length <= size)
+  return getRandomUniqueItems(fitting, count, createRandom(seed))
+}
+
+const run = (generate, words, size, seed, directions) => {
+  const started = performance.now()
+  let outcome
+  try {
+    const result = generate(words, letters, size, size, {
+      seed,
+      directions,
+      maxIterations: Infinity,
+      timeLimitMs: TIME_LIMIT_MS,
+      stopOnFirstSolution: true,
+    })
+    outcome = result.partial ? `partial ${result.placements.length}/${words.length}` : 'complete'
+  } catch (err) {
+    outcome = `error: ${err.message}`
+  }
+  return { ms: performance.now() - started, outcome }
+}
+
+const totals = Object.fromEntries(SEARCHES.map(({ name }) => [name, 0]))
+const speedup = (baseline, current) => `${(baseline / current).toFixed(1)}×`
+
+for (const { name, size, count, directions } of SCENARIOS) {
+  console.log(name)
+  const scenario = Object.fromEntries(SEARCHES.map(({ name: search }) => [search, 0]))
+  for (const seed of SEEDS) {
+    const words = pickWords(size, count, seed)
+    const cells = SEARCHES.map(({ name: search, generate }) => {
+      const { ms, outcome } = run(generate, words, size, seed, directions)
+      scenario[search] += ms
+      return `${search} ${ms.toFixed(0).padStart(6)} ms ${outcome.padEnd(13)}`
+    })
+    console.log(`  ${seed.padEnd(8)} ${cells.join('  ')}`)
+  }
+  for (const search of Object.keys(scenario)) totals[search] += scenario[search]
+  console.log(`  speedup ${speedup(scenario.baseline, scenario.current)}`)
+}
+
+console.log(
+  `total baseline ${totals.baseline.toFixed(0)} ms, current ${totals.current.toFixed(0)} ms ` +
+    `for ${SCENARIOS.length * SEEDS.length} runs each: ${speedup(totals.baseline, totals.current)}`
+)
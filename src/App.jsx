@@ -2,6 +2,10 @@ import Navbar from './components/Navbar'
 import GenerationControls from './components/GenerationControls'
 import StyleControls from './components/StyleControls'
 import SeparatorControls from './components/SeparatorControls'
+import AnswerKeyControls from './components/AnswerKeyControls'
+import WordBankControls from './components/WordBankControls'
+import PdfControls from './components/PdfControls'
+import ExportResolutionControls from './components/ExportResolutionControls'
 import DownloadButtons from './components/DownloadButtons'
 import GridCanvas from './components/GridCanvas'
 import { APP_NAME, FONTS } from './constants/settings'
@@ -14,6 +18,10 @@ function App() {
     generation,
     style,
     separators,
+    answerKey,
+    wordBank,
+    pdf,
+    exportResolution,
     canvasRef,
     downloadOptions,
     previewBounds,
@@ -21,14 +29,21 @@ function App() {
     isGenerating,
     progress,
     status,
+    currentSeed,
     isPreviewLoading,
     previewMessage,
     handleGenerate,
+    handleCanvasClick,
+    handleCancel,
     handleReset,
     handleDownload,
     handleGenerationSettingsChange,
     handleStyleChange,
     handleSeparatorChange,
+    handleAnswerKeyChange,
+    handleWordBankChange,
+    handlePdfChange,
+    handleExportResolutionChange,
     handleRandomizeColors,
     fillWordsWithRandomSet,
     fillLettersWithAlphabet,
@@ -49,9 +64,11 @@ function App() {
             language={language}
             onLanguageChange={handleLanguageChange}
             onGenerate={handleGenerate}
+            onCancel={handleCancel}
             isGenerating={isGenerating}
             progress={progress}
             status={status}
+            currentSeed={currentSeed}
           />
           <StyleControls
             settings={style}
@@ -60,6 +77,13 @@ function App() {
             onRandomizeColors={handleRandomizeColors}
           />
           <SeparatorControls settings={separators} onChange={handleSeparatorChange} />
+          <WordBankControls settings={wordBank} onChange={handleWordBankChange} />
+          <AnswerKeyControls settings={answerKey} onChange={handleAnswerKeyChange} />
+          <ExportResolutionControls
+            settings={exportResolution}
+            onChange={handleExportResolutionChange}
+          />
+          <PdfControls settings={pdf} onChange={handlePdfChange} />
           <DownloadButtons
             fileInfo={fileInfo}
             onDownload={handleDownload}
@@ -75,6 +99,7 @@ function App() {
               isLoading={isPreviewLoading}
               statusMessage={previewMessage}
               onGenerate={handleGenerate}
+              onCanvasClick={handleCanvasClick}
               disableInteraction={isGenerating}
             />
           </div>
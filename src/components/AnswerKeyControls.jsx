@@ -0,0 +1,50 @@
+import RangeInput from './common/RangeInput'
+
+const SHAPES = [
+  { value: 'capsule', label: 'Capsules' },
+  { value: 'line', label: 'Strike lines' },
+]
+
+export default function AnswerKeyControls({ settings, onChange }) {
+  const { show = false, shape = 'capsule', opacity = 0.35 } = settings ?? {}
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="label cursor-pointer gap-2">
+        <span className="label-text">Show answer key</span>
+        <input
+          type="checkbox"
+          className="checkbox"
+          checked={show}
+          onChange={(event) => onChange?.({ show: event.target.checked })}
+        />
+      </label>
+
+      <label className="flex flex-col">
+        <span className="label-text">Answer key style</span>
+        <select
+          className="select select-bordered"
+          value={shape}
+          onChange={(event) => onChange?.({ shape: event.target.value })}
+        >
+          {SHAPES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <RangeInput
+        id="answer-key-opacity"
+        label="Answer key opacity"
+        min={10}
+        max={100}
+        step={5}
+        value={Math.round(opacity * 100)}
+        formatValue={(value) => `${value}%`}
+        onChange={(value) => onChange?.({ opacity: value / 100 })}
+      />
+    </div>
+  )
+}
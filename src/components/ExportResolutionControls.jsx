@@ -0,0 +1,85 @@
+import RangeInput from './common/RangeInput'
+
+const MODES = [
+  { value: 'scale', label: 'Scale of the preview' },
+  { value: 'print', label: 'Print size' },
+]
+
+const DPI_OPTIONS = [150, 300, 600]
+
+const UNITS = [
+  { value: 'cm', label: 'cm' },
+  { value: 'in', label: 'in' },
+]
+
+export default function ExportResolutionControls({ settings, onChange }) {
+  const { mode = 'scale', scale = 1, dpi = 300, printWidth = 15, unit = 'cm' } = settings ?? {}
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="flex flex-col">
+        <span className="label-text">Image resolution</span>
+        <select
+          className="select select-bordered"
+          value={mode}
+          onChange={(event) => onChange?.({ mode: event.target.value })}
+        >
+          {MODES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {mode === 'scale' ? (
+        <RangeInput
+          id="export-scale"
+          label="Export scale"
+          min={1}
+          max={8}
+          step={0.5}
+          value={scale}
+          formatValue={(value) => `${value}×`}
+          onChange={(value) => onChange?.({ scale: value })}
+        />
+      ) : (
+        <div className="flex gap-2">
+          <input
+            type="number"
+            className="input input-bordered w-24 flex-1"
+            min={1}
+            step={0.5}
+            value={printWidth}
+            onChange={(event) => onChange?.({ printWidth: Number(event.target.value) })}
+            aria-label="Printed width"
+          />
+          <select
+            className="select select-bordered"
+            value={unit}
+            onChange={(event) => onChange?.({ unit: event.target.value })}
+            aria-label="Printed width unit"
+          >
+            {UNITS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="select select-bordered"
+            value={dpi}
+            onChange={(event) => onChange?.({ dpi: Number(event.target.value) })}
+            aria-label="DPI"
+          >
+            {DPI_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {value} DPI
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,8 +1,39 @@
 import RangeInput from './common/RangeInput'
+import MaskEditor from './MaskEditor'
+import { ALL_DIRECTIONS, DIRECTIONS } from '../utils/directions'
+import { MASK_SHAPES, createShapeMask, resizeMask } from '../utils/masks'
+import { wordCells } from '../utils/graphemes'
+import { cellRulesFor, parseLetterPairs, parseWordEntries } from '../utils/words'
+import { DIFFICULTY_PRESETS } from '../constants/settings'
+import { DIGRAPH_RULES, LETTER_FOLDS } from '../data/alphabets'
 
 const DIMENSION_CONTROLS = [
-  { id: 'width', label: 'Width', min: 2, max: 15 },
-  { id: 'height', label: 'Height', min: 2, max: 15 },
+  { id: 'width', label: 'Width', min: 2, max: 50 },
+  { id: 'height', label: 'Height', min: 2, max: 50 },
+]
+
+const FILLER_OPTIONS = [
+  { value: 'random', label: 'Random letters' },
+  { value: 'decoy', label: 'Decoys (near-miss fragments of the words)' },
+]
+
+const LETTER_FREQUENCY_OPTIONS = [
+  { value: 'uniform', label: 'All letters equally often' },
+  { value: 'language', label: 'Like the language (E, O… most often)' },
+  { value: 'words', label: 'Like the letters of the word list' },
+]
+
+const FOLDING_OPTIONS = [
+  { value: 'none', label: 'Keep every letter as written' },
+  { value: 'language', label: 'Language rules' },
+  { value: 'accents', label: 'Language rules and no accents (É → E)' },
+]
+
+const OVERLAP_OPTIONS = [
+  { value: 'none', label: 'Words never cross' },
+  { value: '1', label: 'Up to 1 shared letter per word' },
+  { value: '2', label: 'Up to 2 shared letters per word' },
+  { value: 'any', label: 'Any number of shared letters' },
 ]
 
 export default function GenerationControls({
@@ -14,12 +45,33 @@ export default function GenerationControls({
   language,
   onLanguageChange,
   onGenerate,
+  onCancel,
   isGenerating,
   progress,
   status,
+  currentSeed,
 }) {
-  const { words = '', letters = '', width = 0, height = 0, encoding = 'free' } =
-    settings ?? {}
+  const {
+    words = '',
+    letters = '',
+    blockedWords = '',
+    hiddenMessage = '',
+    width = 0,
+    height = 0,
+    encoding = 'free',
+    difficulty = 'custom',
+    directions = [],
+    maxOverlap = null,
+    filler = 'random',
+    letterFrequency = 'uniform',
+    folding = 'none',
+    letterPairs = '',
+    seed = '',
+    timeLimit = 5,
+    shape = 'none',
+    customMask = null,
+    pins = [],
+  } = settings ?? {}
 
   const languageOptions = Array.isArray(languages) ? languages : []
 
@@ -43,14 +95,61 @@ export default function GenerationControls({
     onLanguageChange?.(event.target.value)
   }
 
+  const handleDifficultySelect = (event) => {
+    const { value } = event.target
+    onChange?.({ difficulty: value, ...DIFFICULTY_PRESETS[value]?.settings })
+  }
+
   const handleEncodingSelect = (event) => {
     onChange?.({ encoding: event.target.value })
   }
 
-  const normalizedWordLetters = words.replace(/\s+/g, '').toUpperCase()
-  const uniqueLetters = Array.from(new Set(normalizedWordLetters))
+  const handleShapeSelect = (event) => {
+    const { value } = event.target
+    if (value === 'custom' && !customMask) {
+      onChange?.({ shape: value, customMask: createShapeMask(shape, width, height) })
+    } else {
+      onChange?.({ shape: value })
+    }
+  }
+
+  const handleSeedChange = (event) => {
+    onChange?.({ seed: event.target.value })
+  }
+
+  const handleOverlapSelect = (event) => {
+    const { value } = event.target
+    const next = value === 'any' ? null : value === 'none' ? 0 : Number(value)
+    onChange?.({ maxOverlap: next })
+  }
+
+  const overlapValue = maxOverlap === null ? 'any' : maxOverlap === 0 ? 'none' : String(maxOverlap)
+
+  const handleDirectionToggle = (dir) => {
+    const next = directions.includes(dir)
+      ? directions.filter((item) => item !== dir)
+      : [...directions, dir]
+    if (next.length) {
+      onChange?.({ directions: ALL_DIRECTIONS.filter((item) => next.includes(item)) })
+    }
+  }
+
+  const cellRules = cellRulesFor(language, folding, letterPairs)
+  const typedPairs = parseLetterPairs(letterPairs).join(' ')
+  const pairRules =
+    typedPairs === ''
+      ? 'none'
+      : (Object.keys(DIGRAPH_RULES).find(
+          (id) => DIGRAPH_RULES[id].pairs.join(' ') === typedPairs
+        ) ?? 'custom')
+  const wordLetters = parseWordEntries(words).flatMap((entry) => wordCells(entry, cellRules))
+  const uniqueLetters = Array.from(new Set(wordLetters))
     .sort((a, b) => a.localeCompare(b))
     .join('')
+  const languageFolds = Object.entries(LETTER_FOLDS[language] ?? {})
+    .map(([from, to]) => `${from} → ${to}`)
+    .join(', ')
+
   const baseLettersPlaceholder = 'Other letters to fill the grid'
   const lettersPlaceholder = uniqueLetters
     ? `${baseLettersPlaceholder}: ${uniqueLetters}`
@@ -59,17 +158,20 @@ export default function GenerationControls({
   return (
     <div className="flex flex-col gap-3">
       <div className="flex items-center gap-2">
-        <input
-          type="text"
-          className="input input-bordered flex-1"
+        <textarea
+          className="textarea textarea-bordered flex-1 leading-snug"
+          rows={words.includes('\n') ? 4 : 1}
           value={words}
           onChange={handleWordsChange}
           onKeyDown={(event) => {
-            if (event.key === 'Enter') {
+            // Shift+Enter starts a new line for one entry per line.
+            if (event.key === 'Enter' && !event.shiftKey) {
+              event.preventDefault()
               onGenerate?.()
             }
           }}
-          placeholder="Words (space-separated)"
+          placeholder='Words (space-separated, "quoted phrases", or one per line with Shift+Enter)'
+          aria-label="Words"
         />
         <button
           type="button"
@@ -114,6 +216,26 @@ export default function GenerationControls({
         </button>
       </div>
 
+      <input
+        type="text"
+        className="input input-bordered"
+        value={blockedWords}
+        onChange={(event) => onChange?.({ blockedWords: event.target.value })}
+        placeholder="Extra words the filler must never spell"
+        aria-label="Blocked words"
+      />
+
+      {encoding !== 'unique' && (
+        <input
+          type="text"
+          className="input input-bordered"
+          value={hiddenMessage}
+          onChange={(event) => onChange?.({ hiddenMessage: event.target.value })}
+          placeholder="Hidden message spelled by the leftover letters"
+          aria-label="Hidden message"
+        />
+      )}
+
       {DIMENSION_CONTROLS.map(({ id, label, min, max }) => (
         <RangeInput
           key={id}
@@ -126,6 +248,89 @@ export default function GenerationControls({
         />
       ))}
 
+      <label className="flex flex-col">
+        <span className="label-text">Difficulty</span>
+        <select
+          className="select select-bordered"
+          value={difficulty}
+          onChange={handleDifficultySelect}
+        >
+          {Object.entries(DIFFICULTY_PRESETS).map(([id, { label }]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+          <option value="custom">Custom</option>
+        </select>
+      </label>
+
+      <label className="flex flex-col">
+        <span className="label-text">Shape</span>
+        <select className="select select-bordered" value={shape} onChange={handleShapeSelect}>
+          {MASK_SHAPES.map(({ id, label }) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {shape === 'custom' && (
+        <MaskEditor
+          mask={resizeMask(customMask, width, height)}
+          onChange={(mask) => onChange?.({ customMask: mask })}
+        />
+      )}
+
+      <label className="flex flex-col">
+        <span className="label-text">Letter folding</span>
+        <select
+          className="select select-bordered"
+          value={folding}
+          onChange={(event) => onChange?.({ folding: event.target.value })}
+        >
+          {FOLDING_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {value === 'language' ? `${label} (${languageFolds || 'none'})` : label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex flex-col">
+        <span className="label-text">Letter pairs in one cell</span>
+        <div className="flex gap-2">
+          <select
+            className="select select-bordered flex-1"
+            value={pairRules}
+            onChange={(event) => {
+              const { value } = event.target
+              if (value !== 'custom') {
+                onChange?.({ letterPairs: DIGRAPH_RULES[value]?.pairs.join(' ') ?? '' })
+              }
+            }}
+          >
+            <option value="none">None</option>
+            {Object.entries(DIGRAPH_RULES).map(([id, { label }]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+            <option value="custom" disabled>
+              Custom
+            </option>
+          </select>
+          <input
+            type="text"
+            className="input input-bordered flex-1"
+            value={letterPairs}
+            onChange={(event) => onChange?.({ letterPairs: event.target.value })}
+            placeholder="Pairs such as IJ LL"
+            aria-label="Letter pairs"
+          />
+        </div>
+      </label>
+
       <label className="flex flex-col">
         <span className="label-text">Encoding Method</span>
         <select
@@ -133,14 +338,149 @@ export default function GenerationControls({
           value={encoding}
           onChange={handleEncodingSelect}
         >
-          <option value="free">Free allocation (no intersections)</option>
+          <option value="free">Free allocation</option>
           <option value="intersections">Force intersections</option>
+          <option value="unique">Single word, built from its own letters</option>
         </select>
       </label>
 
-      <button type="button" className="btn btn-primary" onClick={onGenerate}>
-        Generate
-      </button>
+      {encoding !== 'unique' && (
+        <label className="flex flex-col">
+          <span className="label-text">Filler</span>
+          <select
+            className="select select-bordered"
+            value={filler}
+            onChange={(event) => onChange?.({ filler: event.target.value })}
+          >
+            {FILLER_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {encoding !== 'unique' && (
+        <label className="flex flex-col">
+          <span className="label-text">Filler letter frequency</span>
+          <select
+            className="select select-bordered"
+            value={letterFrequency}
+            onChange={(event) => onChange?.({ letterFrequency: event.target.value })}
+          >
+            {LETTER_FREQUENCY_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {encoding === 'free' && (
+        <label className="flex flex-col">
+          <span className="label-text">Crossings</span>
+          <select
+            className="select select-bordered"
+            value={overlapValue}
+            onChange={handleOverlapSelect}
+          >
+            {OVERLAP_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className="flex flex-col gap-1">
+        <span className="label-text">Directions</span>
+        <div className="flex flex-wrap gap-1">
+          {ALL_DIRECTIONS.map((dir) => (
+            <button
+              key={dir}
+              type="button"
+              className={`btn btn-square btn-sm text-lg ${
+                directions.includes(dir) ? 'btn-primary' : 'btn-ghost'
+              }`}
+              onClick={() => handleDirectionToggle(dir)}
+              aria-pressed={directions.includes(dir)}
+              aria-label={DIRECTIONS[dir].title}
+              title={DIRECTIONS[dir].title}
+            >
+              {DIRECTIONS[dir].label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {encoding !== 'unique' && (
+        <div className="flex flex-col gap-1">
+          <span className="label-text">Pinned words</span>
+          {pins.length ? (
+            <div className="flex flex-wrap gap-1">
+              {pins.map((pin) => (
+                <button
+                  key={`${pin.word}-${pin.row}-${pin.col}-${pin.dir}`}
+                  type="button"
+                  className="btn btn-sm"
+                  onClick={() => onChange?.({ pins: pins.filter((other) => other !== pin) })}
+                  title="Unpin"
+                >
+                  {pin.word} {DIRECTIONS[pin.dir]?.label} ✕
+                </button>
+              ))}
+            </div>
+          ) : (
+            <span className="text-sm opacity-70">
+              Click a word in the generated grid to keep it in place when regenerating.
+            </span>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          className="input input-bordered flex-1"
+          value={seed}
+          onChange={handleSeedChange}
+          placeholder="Seed (random if empty)"
+          aria-label="Seed"
+        />
+        {currentSeed && (
+          <button
+            type="button"
+            className="btn"
+            onClick={() => onChange?.({ seed: currentSeed })}
+            title="Reuse the seed of the current grid"
+          >
+            Seed: {currentSeed}
+          </button>
+        )}
+      </div>
+
+      <RangeInput
+        id="generation-time-limit"
+        label="Time limit"
+        min={1}
+        max={60}
+        value={timeLimit}
+        formatValue={(value) => `${value} s`}
+        onChange={(value) => onChange?.({ timeLimit: value })}
+      />
+
+      {isGenerating ? (
+        <button type="button" className="btn btn-warning" onClick={onCancel}>
+          Cancel
+        </button>
+      ) : (
+        <button type="button" className="btn btn-primary" onClick={onGenerate}>
+          Generate
+        </button>
+      )}
 
       <div className="h-4">
         {isGenerating && (
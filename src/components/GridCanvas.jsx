@@ -1,24 +1,39 @@
+import { useState } from 'react'
+
 export default function GridCanvas({
   canvasRef,
   maxHeight,
   isLoading = false,
   statusMessage,
   onGenerate,
+  onCanvasClick,
   disableInteraction = false,
 }) {
+  // Fit the whole grid into view, or show it at full size and scroll around;
+  // the latter keeps letters readable on poster-size grids.
+  const [fullSize, setFullSize] = useState(false)
+
   const containerStyle =
     typeof maxHeight === 'number'
       ? { maxHeight: `${Math.max(0, maxHeight)}px` }
       : undefined
 
   const canvasStyle =
-    typeof maxHeight === 'number'
+    typeof maxHeight === 'number' && !fullSize
       ? { maxHeight: `${Math.max(0, maxHeight - 16)}px` }
       : undefined
 
   const isClickable = typeof onGenerate === 'function' && !disableInteraction
-  const handleCanvasClick = () => {
-    if (isClickable) {
+  const handleCanvasClick = (event) => {
+    if (!isClickable) {
+      return
+    }
+    if (typeof onCanvasClick === 'function') {
+      // Click position in canvas pixels, whatever size the canvas is shown at.
+      const canvas = event.currentTarget
+      const scale = canvas.width / (canvas.clientWidth || canvas.width)
+      onCanvasClick({ x: event.nativeEvent.offsetX * scale, y: event.nativeEvent.offsetY * scale })
+    } else {
       onGenerate()
     }
   }
@@ -37,18 +52,32 @@ export default function GridCanvas({
     ? { pointerEvents: 'none', ...canvasStyle }
     : canvasStyle
 
-  const baseCanvasClasses =
-    'm-3 max-h-full max-w-full rounded-lg border-2 border-base-300 bg-base-100/70 transition duration-300 ease-in-out'
+  const baseCanvasClasses = `m-3 rounded-lg border-2 border-base-300 bg-base-100/70 transition duration-300 ease-in-out ${
+    fullSize ? 'max-w-none' : 'max-h-full max-w-full'
+  }`
   const interactiveClasses = isClickable
-    ? 'cursor-pointer hover:scale-105 hover:shadow-[0_0_10px_3px_rgba(59,130,246,0.45)]'
+    ? `cursor-pointer hover:shadow-[0_0_10px_3px_rgba(59,130,246,0.45)] ${
+        fullSize ? '' : 'hover:scale-105'
+      }`
     : 'cursor-default'
 
   return (
     <div
-      className="relative flex w-full items-start justify-center"
+      className={`relative w-full ${
+        fullSize ? 'overflow-auto' : 'flex items-start justify-center'
+      }`}
       style={containerStyle}
       aria-busy={isLoading}
     >
+      <button
+        type="button"
+        className="btn btn-xs absolute right-2 top-2 z-10"
+        onClick={() => setFullSize((value) => !value)}
+        aria-pressed={fullSize}
+        title={fullSize ? 'Fit the grid into view' : 'Show the grid at full size'}
+      >
+        {fullSize ? 'Fit' : '100%'}
+      </button>
       <canvas
         ref={canvasRef}
         className={`${baseCanvasClasses} ${interactiveClasses}`}
@@ -0,0 +1,67 @@
+import { useEffect, useRef } from 'react'
+
+export default function MaskEditor({ mask, onChange }) {
+  const paintValueRef = useRef(null)
+
+  useEffect(() => {
+    const stopPainting = () => {
+      paintValueRef.current = null
+    }
+    window.addEventListener('pointerup', stopPainting)
+    return () => window.removeEventListener('pointerup', stopPainting)
+  }, [])
+
+  if (!Array.isArray(mask) || mask.length === 0) {
+    return null
+  }
+
+  const cols = mask[0].length
+
+  const paint = (row, col, value) => {
+    if (mask[row][col] === value) {
+      return
+    }
+    onChange?.(
+      mask.map((cells, r) => (r === row ? cells.map((cell, c) => (c === col ? value : cell)) : cells))
+    )
+  }
+
+  const handlePointerDown = (row, col) => (event) => {
+    event.preventDefault()
+    paintValueRef.current = !mask[row][col]
+    paint(row, col, paintValueRef.current)
+  }
+
+  const handlePointerEnter = (row, col) => () => {
+    if (paintValueRef.current !== null) {
+      paint(row, col, paintValueRef.current)
+    }
+  }
+
+  return (
+    <div className="flex flex-col gap-1">
+      <span className="label-text">Click or drag to cut cells out of the shape</span>
+      <div
+        className="grid w-fit select-none gap-px rounded bg-base-300 p-px"
+        style={{ gridTemplateColumns: `repeat(${cols}, 1rem)` }}
+        onPointerLeave={() => {
+          paintValueRef.current = null
+        }}
+      >
+        {mask.map((cells, row) =>
+          cells.map((open, col) => (
+            <button
+              key={`${row}-${col}`}
+              type="button"
+              className={`h-4 w-4 ${open ? 'bg-primary' : 'bg-base-100'}`}
+              onPointerDown={handlePointerDown(row, col)}
+              onPointerEnter={handlePointerEnter(row, col)}
+              aria-label={`Row ${row + 1}, column ${col + 1}`}
+              aria-pressed={open}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,93 @@
+import RangeInput from './common/RangeInput'
+import { PAGE_SIZES } from '../utils/pdfWriter'
+
+const PER_PAGE = [
+  { value: 1, label: '1 puzzle per page' },
+  { value: 2, label: '2 puzzles per page' },
+  { value: 4, label: '4 puzzles per page' },
+]
+
+export default function PdfControls({ settings, onChange }) {
+  const {
+    pageSize = 'a4',
+    margin = 15,
+    perPage = 1,
+    count = 1,
+    answerKeys = true,
+    title = '',
+  } = settings ?? {}
+
+  return (
+    <div className="flex flex-col gap-2">
+      <input
+        type="text"
+        className="input input-bordered"
+        value={title}
+        onChange={(event) => onChange?.({ title: event.target.value })}
+        placeholder="Title printed above each puzzle"
+        aria-label="PDF title"
+      />
+
+      <div className="flex gap-2">
+        <label className="flex flex-1 flex-col">
+          <span className="label-text">Page size</span>
+          <select
+            className="select select-bordered"
+            value={pageSize}
+            onChange={(event) => onChange?.({ pageSize: event.target.value })}
+          >
+            {Object.entries(PAGE_SIZES).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-1 flex-col">
+          <span className="label-text">Layout</span>
+          <select
+            className="select select-bordered"
+            value={perPage}
+            onChange={(event) => onChange?.({ perPage: Number(event.target.value) })}
+          >
+            {PER_PAGE.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <RangeInput
+        id="pdf-margin"
+        label="Page margin"
+        min={5}
+        max={30}
+        value={margin}
+        formatValue={(value) => `${value} mm`}
+        onChange={(value) => onChange?.({ margin: value })}
+      />
+
+      <RangeInput
+        id="pdf-count"
+        label="Puzzles in the PDF"
+        min={1}
+        max={24}
+        value={count}
+        onChange={(value) => onChange?.({ count: value })}
+      />
+
+      <label className="label cursor-pointer gap-2">
+        <span className="label-text">Append answer key pages</span>
+        <input
+          type="checkbox"
+          className="checkbox"
+          checked={answerKeys}
+          onChange={(event) => onChange?.({ answerKeys: event.target.checked })}
+        />
+      </label>
+    </div>
+  )
+}
@@ -0,0 +1,62 @@
+import RangeInput from './common/RangeInput'
+
+const POSITIONS = [
+  { value: 'none', label: 'No word bank' },
+  { value: 'below', label: 'Below the grid' },
+  { value: 'right', label: 'Right of the grid' },
+]
+
+const ORDERS = [
+  { value: 'original', label: 'As typed' },
+  { value: 'alphabetical', label: 'Alphabetical' },
+]
+
+export default function WordBankControls({ settings, onChange }) {
+  const { position = 'none', columns = 3, order = 'original' } = settings ?? {}
+  const disabled = position === 'none'
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="flex flex-col">
+        <span className="label-text">Word bank</span>
+        <select
+          className="select select-bordered"
+          value={position}
+          onChange={(event) => onChange?.({ position: event.target.value })}
+        >
+          {POSITIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <RangeInput
+        id="word-bank-columns"
+        label="Word bank columns"
+        min={1}
+        max={6}
+        value={columns}
+        onChange={(value) => onChange?.({ columns: value })}
+        disabled={disabled}
+      />
+
+      <label className="flex flex-col">
+        <span className="label-text">Word bank order</span>
+        <select
+          className="select select-bordered"
+          value={order}
+          onChange={(event) => onChange?.({ order: event.target.value })}
+          disabled={disabled}
+        >
+          {ORDERS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )
+}
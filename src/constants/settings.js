@@ -18,6 +18,43 @@ export const DEFAULT_DIMENSIONS = {
 }
 
 export const DEFAULT_ENCODING = 'free'
+export const DEFAULT_TIME_LIMIT_SECONDS = 5
+export const DEFAULT_DIFFICULTY = 'custom'
+
+// Each preset overrides these generation settings, and only those its
+// encoding reads (the intersections search has no overlap limit); `wordLength`
+// bounds the words picked by the 🎲 button.
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    label: 'Easy',
+    settings: {
+      directions: ['H', 'V'],
+      encoding: 'free',
+      maxOverlap: 0,
+      filler: 'random',
+    },
+    wordLength: { min: 3, max: 5 },
+  },
+  medium: {
+    label: 'Medium',
+    settings: {
+      directions: ['H', 'HR', 'V', 'VR', 'D'],
+      encoding: 'free',
+      maxOverlap: null,
+      filler: 'random',
+    },
+    wordLength: { min: 4, max: 7 },
+  },
+  hard: {
+    label: 'Hard',
+    settings: {
+      directions: ['H', 'HR', 'V', 'VR', 'D', 'DR', 'A', 'AR'],
+      encoding: 'intersections',
+      filler: 'decoy',
+    },
+    wordLength: { min: 5, max: Infinity },
+  },
+}
 export const DEFAULT_CELL_SIZE = 90
 export const DEFAULT_MARGIN = 0
 export const DEFAULT_SOLID_COLOR = '#000000'
@@ -46,3 +83,51 @@ export const createDefaultSeparatorState = () => ({
   separatorColor: '#808080',
   separatorStyle: 'solid',
 })
+
+// Highlight colours of the answer key, one per word in turn.
+export const ANSWER_KEY_COLORS = [
+  '#ef4444',
+  '#f59e0b',
+  '#10b981',
+  '#3b82f6',
+  '#8b5cf6',
+  '#ec4899',
+  '#14b8a6',
+  '#84cc16',
+]
+
+export const createDefaultAnswerKeyState = () => ({
+  show: false,
+  shape: 'capsule',
+  opacity: 0.35,
+})
+
+export const createDefaultWordBankState = () => ({
+  position: 'none',
+  columns: 3,
+  order: 'original',
+})
+
+// Printable PDF: margins in millimetres, puzzles per page 1, 2 or 4, and how
+// many puzzles to print (the current grid plus freshly generated ones).
+export const createDefaultPdfState = () => ({
+  pageSize: 'a4',
+  margin: 15,
+  perPage: 1,
+  count: 1,
+  answerKeys: true,
+  title: 'Word Search',
+})
+
+// Resolution of image downloads, independent of the preview's cell size:
+// either a scale factor of the preview, or a printed width (in cm or in) at
+// a DPI. A scale factor of 1 is SCREEN_DPI.
+export const SCREEN_DPI = 96
+
+export const createDefaultExportResolutionState = () => ({
+  mode: 'scale',
+  scale: 1,
+  dpi: 300,
+  printWidth: 15,
+  unit: 'cm',
+})
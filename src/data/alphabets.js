@@ -2,3 +2,37 @@ export const ALPHABETS = {
   en: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
   ru: 'АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ',
 }
+
+// Letters a language's puzzles may write as another letter (see the "Letter
+// folding" setting): Russian puzzles usually print Ё as Е.
+export const LETTER_FOLDS = {
+  ru: { Ё: 'Е' },
+}
+
+// Letter pairs some languages treat as one letter, so they share one cell.
+// None of the app's languages has any, so they are offered through the
+// "Letter pairs" setting for puzzles in these languages, next to pairs typed
+// in by hand.
+export const DIGRAPH_RULES = {
+  nl: { label: 'Dutch (IJ)', pairs: ['IJ'] },
+  cy: {
+    label: 'Welsh (CH, DD, FF, NG, LL, PH, RH, TH)',
+    pairs: ['CH', 'DD', 'FF', 'NG', 'LL', 'PH', 'RH', 'TH'],
+  },
+}
+
+// Relative letter frequencies (percent of letters in running text), used to
+// make filler letters look like the language instead of uniform noise.
+export const LETTER_FREQUENCIES = {
+  en: {
+    A: 8.17, B: 1.29, C: 2.78, D: 4.25, E: 12.7, F: 2.23, G: 2.02, H: 6.09, I: 6.97,
+    J: 0.15, K: 0.77, L: 4.03, M: 2.41, N: 6.75, O: 7.51, P: 1.93, Q: 0.1, R: 5.99,
+    S: 6.33, T: 9.06, U: 2.76, V: 0.98, W: 2.36, X: 0.15, Y: 1.97, Z: 0.07,
+  },
+  ru: {
+    А: 8.01, Б: 1.59, В: 4.54, Г: 1.7, Д: 2.98, Е: 8.45, Ё: 0.04, Ж: 0.94, З: 1.65,
+    И: 7.35, Й: 1.21, К: 3.49, Л: 4.4, М: 3.21, Н: 6.7, О: 10.97, П: 2.81, Р: 4.73,
+    С: 5.47, Т: 6.26, У: 2.62, Ф: 0.26, Х: 0.97, Ц: 0.48, Ч: 1.44, Ш: 0.73, Щ: 0.36,
+    Ъ: 0.04, Ы: 1.9, Ь: 1.74, Э: 0.32, Ю: 0.64, Я: 2.01,
+  },
+}
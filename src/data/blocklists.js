@@ -0,0 +1,16 @@
+// Words the filler must never spell, in any direction. Occurrences that lie
+// entirely inside the hidden words themselves are left alone.
+export const BLOCKLISTS = {
+  en: [
+    'ARSE', 'ASS', 'BITCH', 'BOOB', 'BUTT', 'COCK', 'CRAP', 'CUM', 'DAMN', 'DICK',
+    'DUMB', 'FAG', 'FART', 'FUCK', 'HELL', 'JERK', 'KKK', 'NAZI', 'NUDE', 'PISS',
+    'POO', 'POOP', 'PORN', 'PUBE', 'SEX', 'SEXY', 'SHIT', 'SLUT', 'TIT', 'TURD',
+    'UGLY', 'WHORE', 'WTF',
+  ],
+  ru: [
+    'БЛЯ', 'БЛЯДЬ', 'ГАВНО', 'ГОВНО', 'ДЕРЬМО', 'ДУРА', 'ДУРАК', 'ЕБАТЬ', 'ЖОПА',
+    'МУДАК', 'ПИЗДА', 'ПИСЬКА', 'СРАТЬ', 'ССАТЬ', 'СУКА', 'ХЕР', 'ХУЙ', 'ХУЯ',
+  ],
+}
+
+export default BLOCKLISTS
@@ -4,15 +4,119 @@ import { createAppState, createGenerationState } from '../state/initialState'
 import usePreviewBounds from './usePreviewBounds'
 import { drawPreview } from '../utils/previewRenderer'
 import { renderGridToCanvas } from '../utils/gridRenderer'
-import { downloadCanvasImage, downloadJSON } from '../utils/download'
-import getRandomPaletteColor from '../utils/colors'
+import { renderGridToSvg } from '../utils/svgRenderer'
+import { createPuzzlePdf } from '../utils/pdfExport'
+import { resolveExportScale } from '../utils/exportResolution'
+import { downloadCanvasImage, downloadJSON, downloadPdf, downloadSvg } from '../utils/download'
+import getRandomPaletteColor, { createPaletteColors } from '../utils/colors'
 import { resolveInitialLanguage } from '../utils/language'
-import { pickRandomWordsForLanguage } from '../utils/words'
-import { ALPHABETS } from '../data/alphabets'
+import { cellRulesFor, parseWordEntries, pickRandomWordsForLanguage } from '../utils/words'
+import { createSeed } from '../utils/random'
+import { getPoolSize, startGenerationPool } from '../utils/generationPool'
+import { resolveMask } from '../utils/masks'
+import { maxWordLength, normalizeDirections } from '../utils/directions'
+import { isSamePlacement, placementCells } from '../utils/pins'
+import { splitGraphemes, wordCells } from '../utils/graphemes'
+import { ALPHABETS, LETTER_FREQUENCIES } from '../data/alphabets'
+import { BLOCKLISTS } from '../data/blocklists'
 import { SUPPORTED_LANGUAGES } from '../data/languages'
-import { LANGUAGE_STORAGE_KEY } from '../constants/settings'
+import { DIFFICULTY_PRESETS, LANGUAGE_STORAGE_KEY } from '../constants/settings'
 
 const DEFAULT_FILE_INFO = { name: '', size: '' }
+// Settings that only affect the next run, not the grid currently shown.
+const RUN_ONLY_SETTINGS = ['seed', 'timeLimit', 'pins']
+// Settings a difficulty preset controls; editing one by hand makes it custom.
+const PRESET_SETTINGS = [
+  ...new Set(Object.values(DIFFICULTY_PRESETS).flatMap(({ settings }) => Object.keys(settings))),
+]
+
+// Relative filler letter weights: the language's table, the letters of the
+// word list itself, or null for uniform filler.
+// `entryCells` are the words split into cells (see ../utils/graphemes).
+const letterWeightsFor = (letterFrequency, language, entryCells) => {
+  if (letterFrequency === 'language') return LETTER_FREQUENCIES[language] ?? null
+  if (letterFrequency !== 'words') return null
+  const counts = {}
+  for (const cells of entryCells) {
+    for (const cell of cells) counts[cell] = (counts[cell] ?? 0) + 1
+  }
+  return counts
+}
+
+// Gives each placement the spelling its word was typed with, which folding
+// (Ё → Е, dropped accents) may have changed in the grid, and lists the placed
+// words in typed order for the word bank. `words` are the words as placed,
+// `spellings` the same words as typed.
+const matchEntries = (placements, words, spellings) => {
+  const used = new Map()
+  const matched = placements.map((placement, index) => {
+    const entry = words.findIndex((word, i) => word === placement.word && !used.has(i))
+    if (entry >= 0) used.set(entry, index)
+    return { ...placement, spelling: spellings[entry] ?? placement.word }
+  })
+  const wordBank = [...used]
+    .sort(([a], [b]) => a - b)
+    .map(([entry, index]) => ({ text: spellings[entry], index }))
+  return { placements: matched, wordBank }
+}
+
+const createGenerateWorker = () =>
+  new Worker(new URL('../utils/generateWorker.js', import.meta.url), {
+    type: 'module',
+  })
+
+// The generated grid as the app keeps it: the worker's result plus what the
+// previews and exports need from the request that produced it.
+// `requestedWords` and `blockedWords` are in placed form (see wordCells in
+// ../utils/graphemes), for checking the grid.
+const toGridData = (result, request) => {
+  const { grid, partial, placements, repairs, unresolved, message } = result
+  // Keep the bundled blocklist and frequency table out of the exported settings.
+  const { blockedWords, letterWeights: _weights, ...recordedOptions } = result.options
+  const rules = { digraphs: recordedOptions.digraphs, folding: recordedOptions.folding }
+  const matched = matchEntries(placements, request.wordsUpper, request.wordsArr)
+  return {
+    grid,
+    partial,
+    placements: matched.placements,
+    wordBank: matched.wordBank,
+    requestedWords: request.wordsUpper,
+    blockedWords: blockedWords.map((word) => wordCells(word, rules).join('')).filter(Boolean),
+    repairs,
+    unresolved,
+    message,
+    seed: result.seed,
+    difficulty: request.difficulty,
+    mask: request.mask,
+    letters: request.lettersArr.join(''),
+    options: recordedOptions,
+    extraBlockedWords: request.extraBlockedWords,
+  }
+}
+
+// A generation run nobody watches on the preview, such as the extra puzzles
+// of a PDF, as a promise of its grid data. It runs `seed` alone, unraced, so
+// the same seed always gives the same puzzle. `terminate()` on the returned
+// handle stops it and rejects the promise.
+const generateGridData = (request, seed, onProgress) => {
+  let pool
+  let rejectRun
+  const promise = new Promise((resolve, reject) => {
+    rejectRun = reject
+    pool = startGenerationPool({
+      createWorker: createGenerateWorker,
+      payload: { ...request.payload, options: { ...request.payload.options, seed } },
+      onProgress,
+      onResult: (result) => resolve(toGridData(result, request)),
+      onError: (message) => reject(new Error(message)),
+    })
+  })
+  const terminate = () => {
+    pool.terminate()
+    rejectRun(new Error('Generation cancelled.'))
+  }
+  return { promise, terminate }
+}
 
 export const useWordSearchController = () => {
   const initialLanguage = useMemo(() => resolveInitialLanguage(), [])
@@ -22,8 +126,33 @@ export const useWordSearchController = () => {
     (language) => createAppState(language)
   )
 
-  const { language, generation, style, separators } = state
-  const { words, letters, width, height, encoding } = generation
+  const { language, generation, style, separators, answerKey, wordBank, pdf, exportResolution } =
+    state
+  const {
+    words,
+    letters,
+    width,
+    height,
+    encoding,
+    directions,
+    maxOverlap,
+    seed,
+    timeLimit,
+    shape,
+    customMask,
+    difficulty,
+    filler,
+    blockedWords,
+    hiddenMessage,
+    letterFrequency,
+    folding,
+    letterPairs,
+    pins,
+  } = generation
+  const mask = useMemo(
+    () => resolveMask({ shape, customMask, width, height }),
+    [customMask, height, shape, width]
+  )
 
   const canvasRef = useRef(null)
   const workerRef = useRef(null)
@@ -45,6 +174,10 @@ export const useWordSearchController = () => {
       { format: 'png', label: 'Download PNG' },
       { format: 'jpeg', label: 'Download JPEG' },
       { format: 'json', label: 'Download JSON' },
+      { format: 'answer-key', label: 'Download answer key' },
+      { format: 'svg', label: 'Download SVG' },
+      { format: 'svg-paths', label: 'Download SVG (traced text, approximate)' },
+      { format: 'pdf', label: 'Download PDF' },
     ],
     []
   )
@@ -68,9 +201,17 @@ export const useWordSearchController = () => {
 
   const handleGenerationSettingsChange = useCallback(
     (changes) => {
-      dispatch({ type: ACTIONS.UPDATE_GENERATION, payload: changes })
+      const leavesPreset =
+        !('difficulty' in changes) && PRESET_SETTINGS.some((key) => key in changes)
+      dispatch({
+        type: ACTIONS.UPDATE_GENERATION,
+        payload: leavesPreset ? { ...changes, difficulty: 'custom' } : changes,
+      })
       setStatus('')
-      if ('width' in changes || 'height' in changes) {
+      if (Object.keys(changes).every((key) => RUN_ONLY_SETTINGS.includes(key))) {
+        return
+      }
+      if (['width', 'height', 'shape', 'customMask'].some((key) => key in changes)) {
         invalidateGrid({ refreshPreview: true })
       } else {
         invalidateGrid()
@@ -95,6 +236,23 @@ export const useWordSearchController = () => {
     [invalidateGrid]
   )
 
+  // The answer key only changes how the grid is drawn, so it keeps the grid.
+  const handleAnswerKeyChange = useCallback((changes) => {
+    dispatch({ type: ACTIONS.UPDATE_ANSWER_KEY, payload: changes })
+  }, [])
+
+  const handleWordBankChange = useCallback((changes) => {
+    dispatch({ type: ACTIONS.UPDATE_WORD_BANK, payload: changes })
+  }, [])
+
+  const handlePdfChange = useCallback((changes) => {
+    dispatch({ type: ACTIONS.UPDATE_PDF, payload: changes })
+  }, [])
+
+  const handleExportResolutionChange = useCallback((changes) => {
+    dispatch({ type: ACTIONS.UPDATE_EXPORT_RESOLUTION, payload: changes })
+  }, [])
+
   const handleRandomizeColors = useCallback(() => {
     if (style.colorMode === 'gradient') {
       dispatch({
@@ -118,11 +276,15 @@ export const useWordSearchController = () => {
   }, [style.colorMode, invalidateGrid])
 
   const fillWordsWithRandomSet = useCallback(() => {
-    const randomWords = pickRandomWordsForLanguage(language, width, height)
+    const wordLength = DIFFICULTY_PRESETS[difficulty]?.wordLength
+    const randomWords = pickRandomWordsForLanguage(language, width, height, {
+      minLength: wordLength?.min,
+      maxLength: wordLength?.max,
+    })
     if (randomWords.length) {
       handleGenerationSettingsChange({ words: randomWords.join(' ') })
     }
-  }, [language, width, height, handleGenerationSettingsChange])
+  }, [difficulty, language, width, height, handleGenerationSettingsChange])
 
   const fillLettersWithAlphabet = useCallback(() => {
     const alphabet = ALPHABETS[language]
@@ -147,41 +309,72 @@ export const useWordSearchController = () => {
     [invalidateGrid]
   )
 
+  // What the canvas and SVG renderers need to draw a generated grid; `key`
+  // is the answer-key setting to draw it with. Random colours follow the
+  // grid's seed, so the preview and every download match.
+  const gridRenderOptions = useCallback(
+    (
+      { grid, mask: gridMask, placements, options, wordBank: wordBankItems, seed: gridSeed },
+      key
+    ) => ({
+      grid,
+      style,
+      separators,
+      mask: gridMask,
+      paletteColorProvider: createPaletteColors(gridSeed),
+      placements,
+      answerKey: key,
+      cellRules: options,
+      wordBank,
+      wordBankItems,
+    }),
+    [separators, style, wordBank]
+  )
+
+  const renderGrid = useCallback(
+    (canvas, data, key, scale) =>
+      renderGridToCanvas({ canvas, words, ...gridRenderOptions(data, key), scale }),
+    [gridRenderOptions, words]
+  )
+
   const drawGrid = useCallback(
-    async (grid) => {
+    async (data) => {
       const canvas = canvasRef.current
       if (!canvas) return
-      const info = await renderGridToCanvas({
-        canvas,
-        grid,
-        words,
-        style,
-        separators,
-        paletteColorProvider: getRandomPaletteColor,
-      })
+      const info = await renderGrid(canvas, data, answerKey)
       if (info) {
         setFileInfo(info)
         setPreviewState('ready')
       }
     },
-    [separators, style, words]
+    [answerKey, renderGrid]
   )
 
-  const handleDownload = useCallback(
-    (format = 'png') => {
-      if (format === 'json') {
-        if (!gridData) {
-          setStatus('Generate a grid first to download JSON data.')
-          return
-        }
-        downloadJSON(gridData, words)
-      } else {
-        const canvas = canvasRef.current
-        if (!canvas) return
-        downloadCanvasImage(canvas, words, format)
+  // Renders the generated grid at the export resolution and saves it as an
+  // image. The preview, drawn at scale 1, gives the size to scale; the status
+  // says so when the image had to be made smaller than asked for.
+  const downloadExportImage = useCallback(
+    async (key, format, suffix) => {
+      const preview = canvasRef.current
+      const { scale, dpi, reduced } = resolveExportScale(exportResolution, {
+        width: preview?.width,
+        height: preview?.height,
+      })
+      const canvas = document.createElement('canvas')
+      await renderGrid(canvas, gridData, key, scale)
+      try {
+        await downloadCanvasImage(canvas, words, format, { suffix, dpi })
+      } catch (error) {
+        setStatus(error.message)
+        return
+      }
+      if (reduced) {
+        setStatus(
+          `Saved at ${canvas.width}×${canvas.height} px, the largest image the browser can reliably save.`
+        )
       }
     },
-    [words, gridData]
+    [exportResolution, gridData, renderGrid, words]
   )
 
   const handleReset = useCallback(() => {
@@ -199,21 +392,216 @@ export const useWordSearchController = () => {
     lastPreviewSignatureRef.current = null
   }, [])
 
-  const handleGenerate = useCallback(() => {
+  // Everything a generation run needs from the current settings, or the
+  // reason it can't run. The seed is left to the caller.
+  const prepareRequest = useCallback(() => {
+    const cellRules = cellRulesFor(language, folding, letterPairs)
+    // Entries keep their spaces and punctuation for display; only their
+    // letters are placed, and entries without any are left out.
+    const wordsArr = parseWordEntries(words).filter((entry) => wordCells(entry, cellRules).length)
+    if (!wordsArr.length || !width || !height) {
+      return { error: 'Add at least one word to generate a grid.' }
+    }
+    if (encoding === 'unique' && wordsArr.length > 1) {
+      return {
+        error: `The single-word encoding hides one word; remove all but one of the ${wordsArr.length} words, or pick another encoding.`,
+      }
+    }
+
+    const entryCells = wordsArr.map((entry) => wordCells(entry, cellRules))
+    const wordsUpper = entryCells.map((cells) => cells.join(''))
+    // The generators' own limit: the longest run any enabled direction has.
+    const maxLength = maxWordLength(normalizeDirections(directions), width, height)
+    const tooLongIndex = entryCells.findIndex((cells) => cells.length > maxLength)
+    if (tooLongIndex >= 0) {
+      const length = entryCells[tooLongIndex].length
+      return {
+        error: `Cannot place ${wordsArr[tooLongIndex].toUpperCase()} because its length (${length}) exceeds ${maxLength}, the longest word a ${width}×${height} grid fits in the selected directions.`,
+      }
+    }
+
+    // Pins of words that have since left the list are ignored, not reported.
+    const activePins =
+      encoding === 'unique' ? [] : pins.filter((pin) => wordsUpper.includes(pin.word))
+    const extraBlockedWords = blockedWords.split(/[\s,]+/).filter(Boolean)
+    const messageText = encoding === 'unique' ? '' : hiddenMessage.trim()
+    const options = {
+      encoding,
+      directions,
+      maxOverlap,
+        filler,
+      letterFrequency,
+      letterWeights: letterWeightsFor(letterFrequency, language, entryCells),
+      blockedWords: [...(BLOCKLISTS[language] ?? []), ...extraBlockedWords],
+      timeLimitMs: timeLimit * 1000,
+      mask,
+      ...cellRules,
+      ...(messageText && { hiddenMessage: messageText }),
+      ...(activePins.length && { pinned: activePins }),
+    }
+    const lettersArr = splitGraphemes(letters, cellRules).filter((cell) => cell.trim())
+    return {
+      wordsArr,
+      wordsUpper,
+      lettersArr,
+      messageText,
+      extraBlockedWords,
+      difficulty,
+      mask,
+      payload: { words: wordsArr, letters: lettersArr, width, height, options },
+      size: encoding === 'intersections' ? getPoolSize() : 1,
+    }
+  }, [
+    blockedWords,
+    difficulty,
+    directions,
+    encoding,
+    filler,
+    folding,
+    height,
+    hiddenMessage,
+    language,
+    letterFrequency,
+    letterPairs,
+    letters,
+    mask,
+    maxOverlap,
+    pins,
+    timeLimit,
+    width,
+    words,
+  ])
+
+  // Prints the current grid and `pdf.count - 1` new ones generated from the
+  // same settings, with seeds derived from the grid's. Pins are left out of
+  // the new ones so the puzzles differ. Worksheets always get a word bank.
+  const downloadPuzzlePdf = useCallback(async () => {
     if (isGenerating || workerRef.current) {
       return
     }
 
-    const trimmedWords = words.trim()
-    if (!trimmedWords || !width || !height) {
-      setStatus('Add at least one word to generate a grid.')
+    const puzzles = [gridData]
+    const extra = pdf.count - 1
+    if (extra > 0) {
+      const request = prepareRequest()
+      if (request.error) {
+        setStatus(request.error)
+        return
+      }
+      const { pinned: _pins, ...options } = request.payload.options
+      const unpinned = { ...request, payload: { ...request.payload, options } }
+      setIsGenerating(true)
+      setProgress(0)
+      try {
+        for (let k = 1; k <= extra; k += 1) {
+          setStatus(`Generating puzzle ${k + 1} of ${pdf.count}…`)
+          const run = generateGridData(unpinned, `${gridData.seed}/${k}`, (value) =>
+            setProgress((k - 1 + value) / extra)
+          )
+          workerRef.current = run
+          puzzles.push(await run.promise)
+        }
+      } catch (error) {
+        setStatus(error.message)
+        return
+      } finally {
+        workerRef.current = null
+        setIsGenerating(false)
+      }
+    }
+
+    setStatus('Writing PDF…')
+    const printWordBank = wordBank.position === 'none' ? { ...wordBank, position: 'below' } : wordBank
+    const bytes = await createPuzzlePdf({
+      puzzles,
+      settings: pdf,
+      style,
+      dpi: exportResolution.mode === 'print' ? exportResolution.dpi : undefined,
+      renderGrid: (canvas, puzzle, showKey, scale) =>
+        renderGridToCanvas({
+          canvas,
+          words,
+          ...gridRenderOptions(puzzle, { ...answerKey, show: showKey }),
+          wordBank: printWordBank,
+          scale,
+        }),
+    })
+    downloadPdf(bytes, words)
+    setStatus('')
+  }, [
+    answerKey,
+    exportResolution,
+    gridData,
+    gridRenderOptions,
+    isGenerating,
+    pdf,
+    prepareRequest,
+    style,
+    wordBank,
+    words,
+  ])
+
+  const handleDownload = useCallback(
+    async (format = 'png') => {
+      if (format === 'json') {
+        if (!gridData) {
+          setStatus('Generate a grid first to download JSON data.')
+          return
+        }
+        downloadJSON(gridData, words)
+      } else if (format === 'answer-key') {
+        if (!gridData) {
+          setStatus('Generate a grid first to download the answer key.')
+          return
+        }
+        await downloadExportImage({ ...answerKey, show: true }, 'png', '_key')
+      } else if (format === 'svg' || format === 'svg-paths') {
+        if (!gridData) {
+          setStatus('Generate a grid first to download an SVG.')
+          return
+        }
+        const image = await renderGridToSvg({
+          ...gridRenderOptions(gridData, answerKey),
+          textAsPaths: format === 'svg-paths',
+        })
+        downloadSvg(image, words)
+      } else if (format === 'pdf') {
+        if (!gridData) {
+          setStatus('Generate a grid first to download a PDF.')
+          return
+        }
+        try {
+          await downloadPuzzlePdf()
+        } catch (error) {
+          console.error('Failed to write PDF', error)
+          setStatus(`Unable to write the PDF: ${error.message}`)
+        }
+      } else if (gridData) {
+        await downloadExportImage(answerKey, format)
+      } else {
+        const canvas = canvasRef.current
+        if (!canvas) return
+        try {
+          await downloadCanvasImage(canvas, words, format)
+        } catch (error) {
+          setStatus(error.message)
+        }
+      }
+    },
+    [answerKey, downloadExportImage, downloadPuzzlePdf, gridData, gridRenderOptions, words]
+  )
+
+  const handleGenerate = useCallback(() => {
+    if (isGenerating || workerRef.current) {
       return
     }
 
-    const wordsArr = trimmedWords.split(/\s+/).filter(Boolean)
-    const lettersArr = letters.split('').filter(Boolean)
-    const wordsUpper = wordsArr.map((w) => w.toUpperCase())
-    const tooLong = wordsUpper.find((word) => word.length > width || word.length > height)
+    const request = prepareRequest()
+    if (request.error) {
+      setStatus(request.error)
+      return
+    }
+    const { wordsArr, wordsUpper, messageText, payload } = request
 
     setProgress(0)
     setStatus('Preparing grid…')
@@ -221,66 +609,95 @@ export const useWordSearchController = () => {
     setGridStatus('generating')
     setFileInfo(DEFAULT_FILE_INFO)
 
-    if (tooLong) {
-      const limits = []
-      if (tooLong.length > width) limits.push(`width ${width}`)
-      if (tooLong.length > height) limits.push(`height ${height}`)
-      const limitText = limits.length === 2 ? `${limits[0]} and ${limits[1]}` : limits[0]
-      setStatus(
-        `Cannot place ${tooLong} because its length (${tooLong.length}) exceeds ${limitText}.`
-      )
-      setIsGenerating(false)
-      setGridStatus('preview')
-      return
-    }
-
-    const worker = new Worker(new URL('../utils/generateWorker.js', import.meta.url), {
-      type: 'module',
-    })
-    workerRef.current = worker
-
-    worker.onmessage = (event) => {
-      const { type } = event.data
-      if (type === 'progress') {
-        setProgress(event.data.progress ?? 0)
-      } else if (type === 'result') {
-        const { grid, partial, placements } = event.data.result
-        setGridData({ grid, partial, placements })
+    // A typed seed must give the grid anyone else gets from it, so only a
+    // fresh seed is raced; the winner's seed is shown and reproduces it.
+    const typedSeed = seed.trim()
+    workerRef.current = startGenerationPool({
+      createWorker: createGenerateWorker,
+      payload: { ...payload, options: { ...payload.options, seed: typedSeed || createSeed() } },
+      size: typedSeed ? 1 : request.size,
+      onProgress: setProgress,
+      onResult: (result) => {
+        const { placements, partial, unresolved, message } = result
+        setGridData(toGridData(result, request))
         setGridStatus('generated')
         setIsGenerating(false)
         setProgress(1)
-        worker.terminate()
         workerRef.current = null
-        const missing = wordsUpper.filter(
-          (word) => !placements.some((placement) => placement.word === word)
-        )
+        const missing = wordsArr
+          .filter((_, i) => !placements.some((placement) => placement.word === wordsUpper[i]))
+          .map((word) => word.toUpperCase())
         if (partial) {
-          setStatus(`Generation stopped early; missing words: ${missing.join(', ')}`)
+          const notes = [
+            missing.length && `Missing words: ${missing.join(', ')}.`,
+            unresolved &&
+              `${unresolved} extra or blocked word ${unresolved === 1 ? 'copy is' : 'copies are'} left in the grid; try another seed.`,
+            messageText && !message && 'The hidden message was left out.',
+          ].filter(Boolean)
+          setStatus(`Generation stopped early. ${notes.join(' ')}`)
         } else if (missing.length) {
           setStatus(`Missing words: ${missing.join(', ')}`)
         } else {
           setStatus('')
         }
-      } else if (type === 'error') {
-        worker.terminate()
+      },
+      onError: (message) => {
         workerRef.current = null
         setIsGenerating(false)
         setGridStatus('preview')
-        setStatus(event.data.message)
+        setStatus(message)
         setGridData(null)
         lastPreviewSignatureRef.current = null
         setFileInfo(DEFAULT_FILE_INFO)
+      },
+    })
+  }, [isGenerating, prepareRequest, seed])
+
+  // Clicking a word of the generated grid pins it (or unpins it); clicking
+  // anywhere else generates a new grid, as before.
+  const handleCanvasClick = useCallback(
+    ({ x, y }) => {
+      if (gridStatus === 'generated' && gridData && gridData.options?.encoding !== 'unique') {
+        const cell = Number(style.cellSize) || 40
+        const m = Number(style.margin) || 0
+        const row = Math.floor((y - m) / cell)
+        const col = Math.floor((x - m) / cell)
+        const hits = (gridData.placements ?? []).filter((placement) =>
+          placementCells(placement, gridData.options).some(([r, c]) => r === row && c === col)
+        )
+        const target =
+          hits.find((placement) => pins.some((pin) => isSamePlacement(pin, placement))) ?? hits[0]
+        if (target) {
+          const pinned = pins.some((pin) => isSamePlacement(pin, target))
+          const { word, row: pinRow, col: pinCol, dir } = target
+          handleGenerationSettingsChange({
+            pins: pinned
+              ? pins.filter((pin) => !isSamePlacement(pin, target))
+              : [...pins, { word, row: pinRow, col: pinCol, dir }],
+          })
+          setStatus(pinned ? `Unpinned ${word}.` : `Pinned ${word}; it keeps its place when you regenerate.`)
+          return
+        }
       }
-    }
+      handleGenerate()
+    },
+    [gridData, gridStatus, handleGenerate, handleGenerationSettingsChange, pins, style]
+  )
 
-    worker.postMessage({
-      words: wordsArr,
-      letters: lettersArr,
-      width,
-      height,
-      options: { maxIterations: 50000, encoding },
-    })
-  }, [encoding, height, isGenerating, letters, width, words])
+  const handleCancel = useCallback(() => {
+    if (!workerRef.current) {
+      return
+    }
+    workerRef.current.terminate()
+    workerRef.current = null
+    setIsGenerating(false)
+    setProgress(0)
+    setGridStatus(gridData ? 'generated' : 'preview')
+    setStatus('Generation cancelled.')
+    if (gridData) {
+      drawGrid(gridData)
+    }
+  }, [drawGrid, gridData])
 
   useEffect(() => {
     handleGenerateRef.current = handleGenerate
@@ -305,7 +722,7 @@ export const useWordSearchController = () => {
     if (!gridData) {
       return
     }
-    drawGrid(gridData.grid)
+    drawGrid(gridData)
   }, [gridData, drawGrid])
 
   useEffect(() => {
@@ -320,6 +737,7 @@ export const useWordSearchController = () => {
     const signature = JSON.stringify({
       width,
       height,
+      mask,
       ...style,
       ...separators,
     })
@@ -340,6 +758,7 @@ export const useWordSearchController = () => {
           height,
           ...style,
           ...separators,
+          mask,
           paletteColorProvider: getRandomPaletteColor,
         })
         if (!cancelled) {
@@ -360,7 +779,7 @@ export const useWordSearchController = () => {
     return () => {
       cancelled = true
     }
-  }, [gridStatus, height, separators, style, width])
+  }, [gridStatus, height, mask, separators, style, width])
 
   useEffect(
     () => () => {
@@ -381,6 +800,10 @@ export const useWordSearchController = () => {
     generation,
     style,
     separators,
+    answerKey,
+    wordBank,
+    pdf,
+    exportResolution,
     canvasRef,
     downloadOptions,
     previewBounds,
@@ -389,14 +812,21 @@ export const useWordSearchController = () => {
     progress,
     status,
     gridStatus,
+    currentSeed: gridData?.seed ?? '',
     isPreviewLoading,
     previewMessage,
     handleGenerate,
+    handleCanvasClick,
+    handleCancel,
     handleReset,
     handleDownload,
     handleGenerationSettingsChange,
     handleStyleChange,
     handleSeparatorChange,
+    handleAnswerKeyChange,
+    handleWordBankChange,
+    handlePdfChange,
+    handleExportResolutionChange,
     handleRandomizeColors,
     fillWordsWithRandomSet,
     fillLettersWithAlphabet,
@@ -5,6 +5,10 @@ export const ACTIONS = {
   UPDATE_GENERATION: 'UPDATE_GENERATION',
   UPDATE_STYLE: 'UPDATE_STYLE',
   UPDATE_SEPARATORS: 'UPDATE_SEPARATORS',
+  UPDATE_ANSWER_KEY: 'UPDATE_ANSWER_KEY',
+  UPDATE_WORD_BANK: 'UPDATE_WORD_BANK',
+  UPDATE_PDF: 'UPDATE_PDF',
+  UPDATE_EXPORT_RESOLUTION: 'UPDATE_EXPORT_RESOLUTION',
   RESET: 'RESET',
 }
 
@@ -18,6 +22,14 @@ export const wordSearchReducer = (state, action) => {
       return { ...state, style: { ...state.style, ...action.payload } }
     case ACTIONS.UPDATE_SEPARATORS:
       return { ...state, separators: { ...state.separators, ...action.payload } }
+    case ACTIONS.UPDATE_ANSWER_KEY:
+      return { ...state, answerKey: { ...state.answerKey, ...action.payload } }
+    case ACTIONS.UPDATE_WORD_BANK:
+      return { ...state, wordBank: { ...state.wordBank, ...action.payload } }
+    case ACTIONS.UPDATE_PDF:
+      return { ...state, pdf: { ...state.pdf, ...action.payload } }
+    case ACTIONS.UPDATE_EXPORT_RESOLUTION:
+      return { ...state, exportResolution: { ...state.exportResolution, ...action.payload } }
     case ACTIONS.RESET:
       return createAppState(state.language)
     default:
@@ -1,10 +1,17 @@
 import {
   DEFAULT_DIMENSIONS,
+  DEFAULT_DIFFICULTY,
   DEFAULT_ENCODING,
+  DEFAULT_TIME_LIMIT_SECONDS,
+  createDefaultAnswerKeyState,
+  createDefaultExportResolutionState,
+  createDefaultPdfState,
   createDefaultSeparatorState,
   createDefaultStyleState,
+  createDefaultWordBankState,
 } from '../constants/settings'
 import { getDefaultWordsForLanguage } from '../utils/words'
+import { DEFAULT_DIRECTIONS } from '../utils/directions'
 
 export const createGenerationState = (language, overrides = {}) => {
   const width = overrides.width ?? DEFAULT_DIMENSIONS.width
@@ -17,9 +24,23 @@ export const createGenerationState = (language, overrides = {}) => {
   return {
     words: baseWords,
     letters: overrides.letters ?? '',
+    blockedWords: overrides.blockedWords ?? '',
+    hiddenMessage: overrides.hiddenMessage ?? '',
     width,
     height,
+    difficulty: overrides.difficulty ?? DEFAULT_DIFFICULTY,
     encoding: overrides.encoding ?? DEFAULT_ENCODING,
+    directions: overrides.directions ?? DEFAULT_DIRECTIONS.slice(),
+    maxOverlap: overrides.maxOverlap ?? null,
+    filler: overrides.filler ?? 'random',
+    letterFrequency: overrides.letterFrequency ?? 'uniform',
+    folding: overrides.folding ?? 'none',
+    letterPairs: overrides.letterPairs ?? '',
+    seed: overrides.seed ?? '',
+    timeLimit: overrides.timeLimit ?? DEFAULT_TIME_LIMIT_SECONDS,
+    shape: overrides.shape ?? 'none',
+    customMask: overrides.customMask ?? null,
+    pins: overrides.pins ?? [],
   }
 }
 
@@ -28,4 +49,8 @@ export const createAppState = (language) => ({
   generation: createGenerationState(language),
   style: createDefaultStyleState(),
   separators: createDefaultSeparatorState(),
+  answerKey: createDefaultAnswerKeyState(),
+  wordBank: createDefaultWordBankState(),
+  pdf: createDefaultPdfState(),
+  exportResolution: createDefaultExportResolutionState(),
 })
@@ -1,19 +1,50 @@
+import {
+  ALL_DIRECTIONS,
+  DIRECTIONS,
+  directionsForWord,
+  maxWordLength,
+  normalizeDirections,
+  startRange,
+} from './directions.js';
+import { createRandom, createWeightedSampler } from './random.js';
+import { MASKED_CELL, countOpenCells, isCellOpen } from './masks.js';
+import { createDecoyFragments } from './decoys.js';
+import { notEnoughCellsForMessage, toMessageLetters } from './hiddenMessage.js';
+import { resolvePin } from './pins.js';
+
+const DEFAULT_MAX_ITERATIONS = 100000;
+
 /**
  * Generate a word-search grid where each word appears exactly once
- * (or N times if duplicated in the input), readable left->right or top->bottom.
+ * (or N times if duplicated in the input), readable in any of the enabled
+ * `directions` (see ./directions.js; defaults to left->right and top->bottom).
  * Letters are uppercased; the allowed letters set is deduped and auto-expanded
  * to include all letters from the words (if empty, it becomes exactly those letters).
+ * The search stops after `maxIterations` steps (placements tried, search nodes
+ * and fill steps alike, 100000 by default) or `timeLimitMs` milliseconds, whichever comes
+ * first, and then returns the best (possibly partial) grid found so far; with
+ * `stopOnFirstSolution` it returns the first complete grid instead of looking
+ * for one with more intersections.
+ * Cells switched off in `mask` (see ./masks.js) are left out of the puzzle
+ * and come back as MASKED_CELL. With `filler: 'decoy'` the leftover cells are
+ * seeded with near-miss fragments of the words before the random fill.
+ * The fill never spells any of `blockedWords` in any direction, except where
+ * the placed words themselves already do. A `hiddenMessage` is written into
+ * the first free cells in reading order (see ./hiddenMessage.js) before the fill.
+ * Words in `pinned` ({ word, row, col, dir }) are placed first and never moved.
+ * Filler letters are uniform unless `letterWeights` maps letters to relative
+ * frequencies (see LETTER_FREQUENCIES in ../data/alphabets.js).
  *
  * @param {string[]} words
  * @param {string[]} letters
  * @param {number} width
  * @param {number} height
- * @param {{ seed?: number|string, tieBreaker?: 'random'|'center', maxIterations?: number, onProgress?: (ratio:number)=>void }} [options]
- * @returns {{ grid: string[], placements: Array<{word:string,row:number,col:number,dir:'H'|'V'}>, partial?: boolean }}
+ * @param {{ seed?: number|string, directions?: string[], mask?: boolean[][], filler?: 'random'|'decoy', blockedWords?: string[], hiddenMessage?: string, letterWeights?: Record<string, number>, pinned?: Array<{word:string,row:number,col:number,dir:string}>, tieBreaker?: 'random'|'center', maxIterations?: number, timeLimitMs?: number, stopOnFirstSolution?: boolean, onProgress?: (ratio:number)=>void }} [options]
+ * @returns {{ grid: string[], placements: Array<{word:string,row:number,col:number,dir:string}>, partial?: boolean, message?: { text: string, cells: Array<{row:number,col:number}> } }}
  */
 export function generateWordSearchGrid(words, letters, width, height, options = {}) {
   // ---- RNG (seedable) ----
-  const rand = makeRNG(options.seed);
+  const rand = createRandom(options.seed);
   function shuffleInPlace(a) {
     for (let i = a.length - 1; i > 0; i--) {
       const j = Math.floor(rand() * (i + 1));
@@ -30,40 +61,186 @@ export function generateWordSearchGrid(words, letters, width, height, options =
     throw new Error("width and height must be positive integers.");
   }
   const cleanWords = words.map(w => String(w).trim().toUpperCase()).filter(w => w.length > 0);
+  const message = toMessageLetters(options.hiddenMessage);
+  const openCells = countOpenCells(options.mask, width, height);
 
   // Auto-expand letters from words, and dedupe
   const allowed = normalizeAndExpandLetters(letters, cleanWords);
+  const allowedArr = [...allowed];
+  const weighted = options.letterWeights ? createWeightedSampler(allowedArr, options.letterWeights, rand) : null;
+  function fillerLetter() { return weighted ? weighted.pick() : randomChoice(allowedArr); }
+  function fillerOrder() { return weighted ? weighted.shuffle() : shuffleInPlace([...allowedArr]); }
   if (cleanWords.length === 0) {
     if (allowed.size === 0) throw new Error("No words and empty letters; nothing to fill the grid with.");
-    const gridOnly = Array.from({ length: height }, () =>
-        Array.from({ length: width }, () => randomChoice([...allowed])).join("")
+    if (openCells < message.length) throw notEnoughCellsForMessage(message.length, openCells);
+    const messageCells = [];
+    const gridOnly = Array.from({ length: height }, (_, r) =>
+        Array.from({ length: width }, (_, c) => {
+          if (!isCellOpen(options.mask, r, c)) return MASKED_CELL;
+          if (messageCells.length < message.length) {
+            messageCells.push({ row: r, col: c });
+            return message[messageCells.length - 1];
+          }
+          return fillerLetter();
+        }).join("")
     );
-    return { grid: gridOnly, placements: [] };
+    const result = { grid: gridOnly, placements: [] };
+    if (message.length) result.message = { text: message.join(""), cells: messageCells };
+    return result;
   }
 
-  const maxDim = Math.max(width, height);
+  const directions = normalizeDirections(options.directions);
+  const maxLen = maxWordLength(directions, width, height);
   const longest = cleanWords.reduce((m, w) => Math.max(m, w.length), 0);
-  if (longest > maxDim) {
-    throw new Error(`The longest word length (${longest}) exceeds max(width, height) = ${maxDim}.`);
+  if (longest > maxLen) {
+    throw new Error(`The longest word length (${longest}) exceeds ${maxLen}, the longest fit for the selected directions.`);
+  }
+  // However much the words cross, they cover at least the longest one's cells.
+  if (openCells - longest < message.length) {
+    throw notEnoughCellsForMessage(message.length, openCells - longest, { atMost: true });
+  }
+  const dirsByWord = new Map();
+  for (const w of cleanWords) {
+    if (!dirsByWord.has(w)) dirsByWord.set(w, directionsForWord(w, directions));
   }
 
   // multiplicities per unique word
   const requiredCount = new Map();
   for (const w of cleanWords) requiredCount.set(w, (requiredCount.get(w) || 0) + 1);
 
+  // Blocked words are checked in every direction, whichever ones the words use.
+  const blockedWords = [
+    ...new Set((options.blockedWords || []).map(w => String(w).trim().toUpperCase()))
+  ].filter(w => w.length > 0 && !requiredCount.has(w));
+  for (const w of blockedWords) dirsByWord.set(w, directionsForWord(w, ALL_DIRECTIONS));
+  const boundDirections = blockedWords.length ? ALL_DIRECTIONS : directions;
+
   // ---- Grid + bookkeeping ----
-  const grid = Array.from({ length: height }, () => Array.from({ length: width }, () => null));
+  // Masked cells hold a letter no word contains, so nothing is placed on or filled into them.
+  const grid = Array.from({ length: height }, (_, r) =>
+    Array.from({ length: width }, (_, c) => (isCellOpen(options.mask, r, c) ? null : MASKED_CELL))
+  );
   const wordObjs = cleanWords
       .map((w, i) => ({ id: i, word: w, len: w.length }))
       .sort((a, b) => b.len - a.len); // longer first
 
+  // ---- Incremental occurrence tracking ----
+  // Every position of every word is indexed by the cells it covers. Writing or
+  // erasing a cell updates, for the positions through it, how many cells
+  // already match (`matched`) and how many hold another letter (`conflicts`),
+  // so neither placement lists nor occurrence counts need a grid rescan.
+  // Everything lives in typed arrays to stay small on poster-size grids.
+  const trackers = new Map(); // word -> { word, L, dirs, posRow, posCol, posDir, cellStart, cellEntries, matched, conflicts, open, count }
+  for (const word of requiredCount.keys()) {
+    const L = word.length;
+    const dirs = dirsByWord.get(word);
+    let total = 0;
+    for (const dir of dirs) {
+      const { rowMin, rowMax, colMin, colMax } = startRange(dir, L, width, height);
+      total += Math.max(0, rowMax - rowMin + 1) * Math.max(0, colMax - colMin + 1);
+    }
+    const posRow = new Int16Array(total), posCol = new Int16Array(total), posDir = new Uint8Array(total);
+    // cellEntries[cellStart[cell] .. cellStart[cell + 1]) holds (position id, letter offset) pairs.
+    const cellStart = new Int32Array(width * height + 1);
+    const cellEntries = new Int32Array(total * L * 2);
+    for (let pass = 0; pass < 2; pass++) {
+      const cursor = pass ? cellStart.slice(0, -1) : null;
+      let id = 0;
+      dirs.forEach((dir, d) => {
+        const { dr, dc } = DIRECTIONS[dir];
+        const { rowMin, rowMax, colMin, colMax } = startRange(dir, L, width, height);
+        for (let r = rowMin; r <= rowMax; r++) {
+          for (let c = colMin; c <= colMax; c++, id++) {
+            if (pass) { posRow[id] = r; posCol[id] = c; posDir[id] = d; }
+            for (let k = 0; k < L; k++) {
+              const cell = (r + k * dr) * width + (c + k * dc);
+              if (!pass) { cellStart[cell + 1] += 2; continue; }
+              cellEntries[cursor[cell]++] = id;
+              cellEntries[cursor[cell]++] = k;
+            }
+          }
+        }
+      });
+      if (!pass) for (let i = 1; i < cellStart.length; i++) cellStart[i] += cellStart[i - 1];
+    }
+    trackers.set(word, {
+      word,
+      L,
+      dirs,
+      posRow,
+      posCol,
+      posDir,
+      cellStart,
+      cellEntries,
+      matched: new Uint8Array(total),
+      conflicts: new Uint8Array(total),
+      open: total, // positions without conflicts, i.e. where the word could go
+      count: 0 // complete occurrences in the grid
+    });
+  }
+  let overLimit = 0; // words currently spelled more often than required
+
+  function changeCount(t, delta) {
+    const required = requiredCount.get(t.word);
+    const wasOver = t.count > required;
+    t.count += delta;
+    overLimit += (t.count > required) - wasOver;
+  }
+  function writeCell(r, c, ch) {
+    grid[r][c] = ch;
+    const idx = r * width + c;
+    for (const t of trackers.values()) {
+      const { cellEntries } = t;
+      for (let i = t.cellStart[idx], end = t.cellStart[idx + 1]; i < end; i += 2) {
+        const id = cellEntries[i];
+        if (t.word[cellEntries[i + 1]] === ch) {
+          if (++t.matched[id] === t.L) changeCount(t, 1);
+        } else if (t.conflicts[id]++ === 0) {
+          t.open--;
+        }
+      }
+    }
+  }
+  function eraseCell(r, c) {
+    const ch = grid[r][c];
+    grid[r][c] = null;
+    const idx = r * width + c;
+    for (const t of trackers.values()) {
+      const { cellEntries } = t;
+      for (let i = t.cellStart[idx], end = t.cellStart[idx + 1]; i < end; i += 2) {
+        const id = cellEntries[i];
+        if (t.word[cellEntries[i + 1]] === ch) {
+          if (t.matched[id]-- === t.L) changeCount(t, -1);
+        } else if (--t.conflicts[id] === 0) {
+          t.open++;
+        }
+      }
+    }
+  }
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) if (grid[r][c] !== null) writeCell(r, c, grid[r][c]);
+  }
+
   let best = null; // { placementsById, intersections, filledGridRows }
   const currentPlacements = new Map();
   let currentIntersections = 0;
-  const maxIterations = options.maxIterations ?? 100000;
+  const timeLimitMs = options.timeLimitMs;
+  const deadline = timeLimitMs ? Date.now() + timeLimitMs : Infinity;
+  const maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
   const onProgress = options.onProgress;
   let iterations = 0;
   let cancelled = false;
+  let timedOut = false;
+  let mostFreeCells = -1; // most free cells a complete layout left when that was too few for the message
+
+  function outOfTime() {
+    if (!timedOut && Date.now() > deadline) { timedOut = true; cancelled = true; }
+    return timedOut;
+  }
+  function progressRatio() {
+    const byTime = timeLimitMs ? (timeLimitMs - (deadline - Date.now())) / timeLimitMs : 0;
+    return Math.min(1, Math.max(iterations / maxIterations, byTime));
+  }
   let bestPartial = null; // { placementsById, intersections, filledGridRows, placedCount }
 
   function recordPartial() {
@@ -73,7 +250,7 @@ export function generateWordSearchGrid(words, letters, width, height, options =
       placedCount > bestPartial.placedCount ||
       (placedCount === bestPartial.placedCount && currentIntersections > bestPartial.intersections)
     ) {
-      const rows = grid.map(row => row.map(ch => ch ?? randomChoice([...allowed])).join(""));
+      const rows = grid.map(row => row.map(ch => ch ?? fillerLetter()).join(""));
       bestPartial = {
         placementsById: new Map(currentPlacements),
         intersections: currentIntersections,
@@ -97,34 +274,11 @@ export function generateWordSearchGrid(words, letters, width, height, options =
   // Randomized tie-breaking inside equal-score placements
   function enumeratePlacements(word) {
     const L = word.length;
+    const { dirs, posRow, posCol, posDir, matched, conflicts } = trackers.get(word);
     const placements = [];
-
-    // Horizontal
-    for (let r = 0; r < height; r++) {
-      for (let c = 0; c <= width - L; c++) {
-        let ok = true, score = 0;
-        for (let k = 0; k < L; k++) {
-          const cell = grid[r][c + k];
-          const ch = word[k];
-          if (cell !== null && cell !== ch) { ok = false; break; }
-          if (cell === ch) score++;
-        }
-        if (ok) placements.push({ row: r, col: c, dir: 'H', score });
-      }
-    }
-    // Vertical (skip for L==1 to avoid H/V double-counting)
-    if (L > 1) {
-      for (let r = 0; r <= height - L; r++) {
-        for (let c = 0; c < width; c++) {
-          let ok = true, score = 0;
-          for (let k = 0; k < L; k++) {
-            const cell = grid[r + k][c];
-            const ch = word[k];
-            if (cell !== null && cell !== ch) { ok = false; break; }
-            if (cell === ch) score++;
-          }
-          if (ok) placements.push({ row: r, col: c, dir: 'V', score });
-        }
+    for (let id = 0; id < matched.length; id++) {
+      if (conflicts[id] === 0) {
+        placements.push({ row: posRow[id], col: posCol[id], dir: dirs[posDir[id]], score: matched[id] });
       }
     }
 
@@ -133,10 +287,10 @@ export function generateWordSearchGrid(words, letters, width, height, options =
     const centerC = (width - 1) / 2;
     function distToCenter(p) {
       // center of the word's span
-      const rr = p.dir === 'H' ? p.row : p.row + (L - 1) / 2;
-      const cc = p.dir === 'H' ? p.col + (L - 1) / 2 : p.col;
-      const dr = rr - centerR, dc = cc - centerC;
-      return Math.hypot(dr, dc);
+      const { dr, dc } = DIRECTIONS[p.dir];
+      const rr = p.row + dr * (L - 1) / 2;
+      const cc = p.col + dc * (L - 1) / 2;
+      return Math.hypot(rr - centerR, cc - centerC);
     }
     const tieMode = options.tieBreaker || 'random';
     for (const p of placements) {
@@ -150,43 +304,36 @@ export function generateWordSearchGrid(words, letters, width, height, options =
 
   function placeWord(word, p) {
     const newly = [];
-    if (p.dir === 'H') {
-      for (let k = 0; k < word.length; k++) {
-        const r = p.row, c = p.col + k;
-        if (grid[r][c] === null) { grid[r][c] = word[k]; newly.push([r, c]); }
-      }
-    } else {
-      for (let k = 0; k < word.length; k++) {
-        const r = p.row + k, c = p.col;
-        if (grid[r][c] === null) { grid[r][c] = word[k]; newly.push([r, c]); }
-      }
+    const { dr, dc } = DIRECTIONS[p.dir];
+    for (let k = 0; k < word.length; k++) {
+      const r = p.row + k * dr, c = p.col + k * dc;
+      if (grid[r][c] === null) { writeCell(r, c, word[k]); newly.push([r, c]); }
     }
     return newly;
   }
-  function undo(newly) { for (const [r, c] of newly) grid[r][c] = null; }
+  function undo(newly) { for (let i = newly.length - 1; i >= 0; i--) eraseCell(newly[i][0], newly[i][1]); }
+  function maxScore(word) {
+    const { matched, conflicts } = trackers.get(word);
+    let maxMatched = 0;
+    for (let id = 0; id < matched.length; id++) {
+      if (conflicts[id] === 0 && matched[id] > maxMatched) maxMatched = matched[id];
+    }
+    return maxMatched;
+  }
 
-  // Count forward-only occurrences of a word in the *current* grid (null breaks matches).
+  // Count occurrences of a word in the *current* grid along every enabled direction (null breaks matches).
   function countOccurrencesStrictForWord(word) {
     const L = word.length;
     let count = 0;
 
-    // Horizontal
-    for (let r = 0; r < height; r++) {
-      for (let c = 0; c <= width - L; c++) {
-        let ok = true;
-        for (let k = 0; k < L; k++) {
-          if (grid[r][c + k] !== word[k]) { ok = false; break; }
-        }
-        if (ok) count++;
-      }
-    }
-    // Vertical (skip if L==1)
-    if (L > 1) {
-      for (let r = 0; r <= height - L; r++) {
-        for (let c = 0; c < width; c++) {
+    for (const dir of dirsByWord.get(word)) {
+      const { dr, dc } = DIRECTIONS[dir];
+      const { rowMin, rowMax, colMin, colMax } = startRange(dir, L, width, height);
+      for (let r = rowMin; r <= rowMax; r++) {
+        for (let c = colMin; c <= colMax; c++) {
           let ok = true;
           for (let k = 0; k < L; k++) {
-            if (grid[r + k][c] !== word[k]) { ok = false; break; }
+            if (grid[r + k * dr][c + k * dc] !== word[k]) { ok = false; break; }
           }
           if (ok) count++;
         }
@@ -195,87 +342,97 @@ export function generateWordSearchGrid(words, letters, width, height, options =
     return count;
   }
 
-  function countsWithinLimits() {
-    const seen = new Set();
-    for (const w of cleanWords) {
-      if (seen.has(w)) continue;
-      seen.add(w);
-      const cnt = countOccurrencesStrictForWord(w);
-      if (cnt > (requiredCount.get(w) || 0)) return false;
+  // ---- Fill geometry, the same for every leaf of the search ----
+  const uniqueWords = [...new Set(cleanWords)];
+  const wordsByLen = new Map();
+  for (const w of uniqueWords.concat(blockedWords)) {
+    const L = w.length;
+    if (!wordsByLen.has(L)) wordsByLen.set(L, []);
+    wordsByLen.get(L).push(w);
+  }
+  const lengths = [...wordsByLen.keys()];
+
+  // Start of the window through (r,c) in which that cell holds letter `pos`, or null if it leaves the grid.
+  function windowStart(r, c, L, dir, pos) {
+    const { dr, dc } = DIRECTIONS[dir];
+    const sr = r - pos * dr, sc = c - pos * dc;
+    const er = sr + (L - 1) * dr, ec = sc + (L - 1) * dc;
+    if (sr < 0 || sr >= height || sc < 0 || sc >= width) return null;
+    if (er < 0 || er >= height || ec < 0 || ec >= width) return null;
+    return [sr, sc];
+  }
+  function windowsThroughCell(r, c, L) {
+    let n = 0;
+    for (const dir of boundDirections.slice(0, L === 1 ? 1 : boundDirections.length)) {
+      for (let pos = 0; pos < L; pos++) if (windowStart(r, c, L, dir, pos)) n++;
+    }
+    return n;
+  }
+  // Where each letter sits in each word, so cells only check matching offsets.
+  const letterPositions = new Map();
+  for (const w of uniqueWords.concat(blockedWords)) {
+    const byLetter = new Map();
+    for (let pos = 0; pos < w.length; pos++) {
+      if (!byLetter.has(w[pos])) byLetter.set(w[pos], []);
+      byLetter.get(w[pos]).push(pos);
     }
-    return true;
+    letterPositions.set(w, byLetter);
+  }
+  const NO_DELTAS = new Map(); // shared, never written to
+  // Windows of each length through each cell, and how many words could use them.
+  const windowCounts = new Map();
+  const danger = new Float64Array(width * height);
+  for (const L of lengths) {
+    const counts = new Uint16Array(width * height);
+    for (let r = 0; r < height; r++) {
+      for (let c = 0; c < width; c++) counts[r * width + c] = windowsThroughCell(r, c, L);
+    }
+    windowCounts.set(L, counts);
+    for (let i = 0; i < counts.length; i++) danger[i] += counts[i] * wordsByLen.get(L).length;
   }
 
-  // Fill remaining cells without creating extra forward occurrences
+  // Fill remaining cells without creating extra occurrences in any enabled direction
   function fillEmptiesAvoidingExtras() {
     const empties = [];
     for (let r = 0; r < height; r++) for (let c = 0; c < width; c++) {
       if (grid[r][c] === null) empties.push([r, c]);
     }
-    if (empties.length === 0) return { ok: true, changedCells: [] };
-
-    const uniqueWords = [...new Set(cleanWords)];
-    const wordsByLen = new Map();
-    for (const w of uniqueWords) {
-      const L = w.length;
-      if (!wordsByLen.has(L)) wordsByLen.set(L, []);
-      wordsByLen.get(L).push(w);
+    if (empties.length < message.length) {
+      mostFreeCells = Math.max(mostFreeCells, empties.length);
+      return { ok: false };
     }
-    const lengths = [...wordsByLen.keys()];
+    if (empties.length === 0) return { ok: true, changedCells: [], messageCells: [] };
+    const readingOrder = empties.slice();
 
-    function windowsThroughCell(r, c, L) {
-      const hStartMin = Math.max(0, c - (L - 1));
-      const hStartMax = Math.min(c, width - L);
-      const anyH = hStartMin <= hStartMax ? (hStartMax - hStartMin + 1) : 0;
-      if (L === 1) return anyH;
-      const vStartMin = Math.max(0, r - (L - 1));
-      const vStartMax = Math.min(r, height - L);
-      const anyV = vStartMin <= vStartMax ? (vStartMax - vStartMin + 1) : 0;
-      return anyH + anyV;
-    }
     // Most "dangerous" cells (participate in many windows) first
-    empties.sort((a, b) => {
-      const sa = lengths.reduce((acc, L) => acc + windowsThroughCell(a[0], a[1], L) * wordsByLen.get(L).length, 0);
-      const sb = lengths.reduce((acc, L) => acc + windowsThroughCell(b[0], b[1], L) * wordsByLen.get(L).length, 0);
-      return sb - sa;
-    });
+    empties.sort((a, b) => danger[b[0] * width + b[1]] - danger[a[0] * width + a[1]]);
 
+    if (overLimit > 0) return { ok: false };
     const currentCounts = new Map();
-    for (const w of uniqueWords) currentCounts.set(w, countOccurrencesStrictForWord(w));
-    for (const w of uniqueWords) if (currentCounts.get(w) > requiredCount.get(w)) return { ok: false };
-
-    const allowedArr = [...allowed];
+    for (const w of uniqueWords) currentCounts.set(w, trackers.get(w).count);
+    // Blocked words may only appear where the placed words already spell them.
+    const limits = new Map(requiredCount);
+    for (const w of blockedWords) {
+      const count = countOccurrencesStrictForWord(w);
+      currentCounts.set(w, count);
+      limits.set(w, count);
+    }
 
     function countNewOccurrencesAtCell(word, r, c, ch) {
+      const positions = letterPositions.get(word).get(ch);
+      if (!positions) return 0;
       const L = word.length;
       let inc = 0;
 
-      // Horizontal windows including (r,c)
-      const hStartMin = Math.max(0, c - (L - 1));
-      const hStartMax = Math.min(c, width - L);
-      for (let s = hStartMin; s <= hStartMax; s++) {
-        const pos = c - s;
-        if (word[pos] !== ch) continue;
-        let ok = true;
-        for (let k = 0; k < L; k++) {
-          if (k === pos) continue;
-          const cell = grid[r][s + k];
-          if (cell !== word[k]) { ok = false; break; }
-        }
-        if (ok) inc++;
-      }
-
-      // Vertical (skip for L==1)
-      if (L > 1) {
-        const vStartMin = Math.max(0, r - (L - 1));
-        const vStartMax = Math.min(r, height - L);
-        for (let s = vStartMin; s <= vStartMax; s++) {
-          const pos = r - s;
-          if (word[pos] !== ch) continue;
+      for (const dir of dirsByWord.get(word)) {
+        const { dr, dc } = DIRECTIONS[dir];
+        for (const pos of positions) {
+          const start = windowStart(r, c, L, dir, pos);
+          if (!start) continue;
           let ok = true;
           for (let k = 0; k < L; k++) {
             if (k === pos) continue;
-            const cell = grid[s + k][c];
+            const cell = grid[start[0] + k * dr][start[1] + k * dc];
             if (cell !== word[k]) { ok = false; break; }
           }
           if (ok) inc++;
@@ -284,113 +441,260 @@ export function generateWordSearchGrid(words, letters, width, height, options =
       return inc;
     }
 
-    function tryFill(idx) {
-      if (idx === empties.length) return true;
-      const [r, c] = empties[idx];
-      const lettersOrder = shuffleInPlace([...allowedArr]); // randomized per step
-
-      for (const ch of lettersOrder) {
-        if (grid[r][c] !== null) continue;
-        let ok = true;
-        const deltas = new Map();
-
-        for (const [L, wordsOfLen] of wordsByLen) {
-          // quick bound: if no window of this L goes through (r,c), skip
-          const hasH = Math.max(0, c - (L - 1)) <= Math.min(c, width - L);
-          const hasV = L === 1 ? false : (Math.max(0, r - (L - 1)) <= Math.min(r, height - L));
-          if (!hasH && !hasV) continue;
-
-          for (const w of wordsOfLen) {
-            const inc = countNewOccurrencesAtCell(w, r, c, ch);
-            if (inc === 0) continue;
-            const next = (currentCounts.get(w) || 0) + (deltas.get(w) || 0) + inc;
-            if (next > requiredCount.get(w)) { ok = false; break; }
-            deltas.set(w, (deltas.get(w) || 0) + inc);
-          }
-          if (!ok) break;
+    // Occurrences (per word) that writing ch into (r,c) would add, or null if any word would exceed its count.
+    function deltasForCell(r, c, ch) {
+      let deltas = NO_DELTAS;
+      for (const [L, wordsOfLen] of wordsByLen) {
+        // quick bound: if no window of this L goes through (r,c), skip
+        if (windowCounts.get(L)[r * width + c] === 0) continue;
+
+        for (const w of wordsOfLen) {
+          const inc = countNewOccurrencesAtCell(w, r, c, ch);
+          if (inc === 0) continue;
+          if ((currentCounts.get(w) || 0) + inc > limits.get(w)) return null;
+          if (deltas === NO_DELTAS) deltas = new Map();
+          deltas.set(w, inc);
         }
-        if (!ok) continue;
+      }
+      return deltas;
+    }
+    function setCell(r, c, ch, deltas) {
+      grid[r][c] = ch;
+      for (const [w, inc] of deltas.entries()) currentCounts.set(w, currentCounts.get(w) + inc);
+    }
+    function clearCell(r, c, deltas) {
+      for (const [w, inc] of deltas.entries()) currentCounts.set(w, currentCounts.get(w) - inc);
+      grid[r][c] = null;
+    }
 
-        // commit
-        grid[r][c] = ch;
-        for (const [w, inc] of deltas.entries()) currentCounts.set(w, currentCounts.get(w) + inc);
+    // Decoy filler: write near-miss fragments into empty runs of cells, one
+    // cell at a time under the same count check as the random fill.
+    function plantDecoys() {
+      const planted = [];
+      for (const fragment of createDecoyFragments(uniqueWords, allowedArr, rand)) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+          const [r0, c0] = randomChoice(empties);
+          const { dr, dc } = DIRECTIONS[randomChoice(directions)];
+          const cells = [];
+          for (let k = 0; k < fragment.length; k++) {
+            const r = r0 + k * dr, c = c0 + k * dc;
+            if (r < 0 || r >= height || c < 0 || c >= width || grid[r][c] !== null) break;
+            cells.push([r, c]);
+          }
+          if (cells.length < fragment.length) continue;
+
+          const written = [];
+          for (let k = 0; k < cells.length; k++) {
+            const [r, c] = cells[k];
+            const deltas = deltasForCell(r, c, fragment[k]);
+            if (!deltas) break;
+            setCell(r, c, fragment[k], deltas);
+            written.push([r, c, deltas]);
+          }
+          if (written.length === cells.length) {
+            planted.push(...written);
+            break;
+          }
+          for (const [r, c, deltas] of written.reverse()) clearCell(r, c, deltas);
+        }
+      }
+      return planted;
+    }
 
-        if (tryFill(idx + 1)) return true;
+    let pending = empties;
+    // Backtracking over the pending cells with an explicit stack (one frame of
+    // candidate letters per cell), so large grids can't overflow the call stack.
+    // Fill steps use up the search's iteration budget and time limit.
+    function tryFill() {
+      const frames = [];
+      let idx = 0;
+      while (idx < pending.length) {
+        if (++iterations > maxIterations || (iterations % 256 === 0 && outOfTime())) {
+          cancelled = true;
+          for (let i = idx - 1; i >= 0; i--) clearCell(pending[i][0], pending[i][1], frames[i].deltas);
+          return false;
+        }
+        const [r, c] = pending[idx];
+        if (!frames[idx]) frames[idx] = { letters: fillerOrder(), next: 0, deltas: null }; // randomized per step
+        const frame = frames[idx];
+        if (frame.deltas) { clearCell(r, c, frame.deltas); frame.deltas = null; }
+
+        while (frame.next < frame.letters.length) {
+          const ch = frame.letters[frame.next++];
+          const deltas = deltasForCell(r, c, ch);
+          if (!deltas) continue;
+          setCell(r, c, ch, deltas);
+          frame.deltas = deltas;
+          break;
+        }
+        if (frame.deltas) { idx++; continue; }
 
-        // undo
-        for (const [w, inc] of deltas.entries()) currentCounts.set(w, currentCounts.get(w) - inc);
-        grid[r][c] = null;
+        // No letter fits here: back up and try the previous cell's next letter.
+        frames.length = idx;
+        if (idx === 0) return false;
+        idx--;
       }
-      return false;
+      return true;
     }
 
-    const ok = tryFill(0);
-    return { ok, changedCells: ok ? empties : undefined };
+    // The hidden message takes the first free cells in reading order.
+    const messageCells = [];
+    for (let k = 0; k < message.length; k++) {
+      const [r, c] = readingOrder[k];
+      const deltas = deltasForCell(r, c, message[k]);
+      if (!deltas) break;
+      setCell(r, c, message[k], deltas);
+      messageCells.push([r, c, deltas]);
+    }
+    const fillable = empties.filter(([r, c]) => grid[r][c] === null);
+
+    let ok = messageCells.length === message.length;
+    if (ok) {
+      const planted = options.filler === 'decoy' ? plantDecoys() : [];
+      pending = fillable.filter(([r, c]) => grid[r][c] === null);
+      ok = tryFill();
+      if (!ok && planted.length) {
+        // The decoys boxed the fill in; fall back to a plain random fill.
+        for (const [r, c, deltas] of planted.reverse()) clearCell(r, c, deltas);
+        pending = fillable;
+        ok = tryFill();
+      }
+    }
+    if (!ok) {
+      for (const [r, c, deltas] of messageCells.reverse()) clearCell(r, c, deltas);
+      return { ok: false };
+    }
+    return { ok, changedCells: empties, messageCells: messageCells.map(([row, col]) => ({ row, col })) };
   }
 
   // ---- Backtracking search (aim for max intersections) ----
-  function search(remaining) {
-    if (cancelled) return;
-    recordPartial();
-    if (iterations++ > maxIterations) { cancelled = true; return; }
-    if (onProgress && iterations % 1000 === 0) onProgress(iterations / maxIterations);
-    if (remaining.length === 0) {
-      // Ensure placed letters alone give exactly the required counts
-      const uniq = new Set(cleanWords);
-      for (const w of uniq) {
-        if (countOccurrencesStrictForWord(w) !== requiredCount.get(w)) return;
-      }
-      const fill = fillEmptiesAvoidingExtras();
-      if (!fill.ok) return;
+  // Every word placed: fill the rest and keep the grid if it beats the best one.
+  function recordSolution() {
+    // Ensure placed letters alone give exactly the required counts
+    for (const t of trackers.values()) {
+      if (t.count !== requiredCount.get(t.word)) return;
+    }
+    const fill = fillEmptiesAvoidingExtras();
+    if (!fill.ok) return;
+
+    const rows = grid.map(row => row.join(""));
+    const snapshot = new Map(currentPlacements);
+    const record = {
+      placementsById: snapshot,
+      intersections: currentIntersections,
+      filledGridRows: rows,
+      messageCells: fill.messageCells
+    };
+    if (!best || record.intersections > best.intersections) best = record;
+    if (options.stopOnFirstSolution) cancelled = true;
 
-      const rows = grid.map(row => row.join(""));
-      const snapshot = new Map(currentPlacements);
-      const record = { placementsById: snapshot, intersections: currentIntersections, filledGridRows: rows };
-      if (!best || record.intersections > best.intersections) best = record;
+    // undo filler to keep exploring
+    if (fill.changedCells) for (const [r, c] of fill.changedCells) grid[r][c] = null;
+  }
 
-      // undo filler to keep exploring
-      if (fill.changedCells) for (const [r, c] of fill.changedCells) grid[r][c] = null;
-      return;
+  // Visits a node of the search tree. Returns the frame for trying the next
+  // word's placements, or null for a leaf or a dead end.
+  function enterNode(remaining) {
+    if (cancelled) return null;
+    recordPartial();
+    if (iterations++ > maxIterations) { cancelled = true; return null; }
+    if (iterations % 256 === 0 && outOfTime()) return null;
+    if (onProgress && iterations % 1000 === 0) onProgress(progressRatio());
+    if (remaining.length === 0) {
+      recordSolution();
+      return null;
     }
 
     // Choose next word (fail-fast): fewest placements, tie -> longer, tie -> higher max score
-    let chosenIdx = -1, chosenPlacements = null;
+    let chosenIdx = -1;
     let minCount = Infinity, bestLen = -1, bestMaxScore = -1;
 
     for (let i = 0; i < remaining.length; i++) {
       const w = remaining[i];
-      const plist = enumeratePlacements(w.word);
-      if (plist.length === 0) return; // dead branch
-      const maxScore = plist[0].score;
-      if (
-          plist.length < minCount ||
-          (plist.length === minCount && w.len > bestLen) ||
-          (plist.length === minCount && w.len === bestLen && maxScore > bestMaxScore)
-      ) {
-        minCount = plist.length; bestLen = w.len; bestMaxScore = maxScore;
-        chosenIdx = i; chosenPlacements = plist;
+      const count = trackers.get(w.word).open;
+      if (count === 0) return null; // dead branch
+      if (count < minCount || (count === minCount && w.len > bestLen)) {
+        minCount = count; bestLen = w.len; bestMaxScore = -1;
+        chosenIdx = i;
+      } else if (count === minCount && w.len === bestLen) {
+        // Max scores are only worth computing for a tie.
+        if (bestMaxScore < 0) bestMaxScore = maxScore(remaining[chosenIdx].word);
+        const score = maxScore(w.word);
+        if (score > bestMaxScore) { bestMaxScore = score; chosenIdx = i; }
       }
     }
 
     const chosen = remaining[chosenIdx];
-    const rest = remaining.slice(0, chosenIdx).concat(remaining.slice(chosenIdx + 1));
+    return {
+      chosen,
+      placements: enumeratePlacements(chosen.word),
+      next: 0,
+      rest: remaining.slice(0, chosenIdx).concat(remaining.slice(chosenIdx + 1)),
+      placed: null // { p, newly } while a placement of `chosen` is on the grid
+    };
+  }
 
-    for (const p of chosenPlacements) {
-      if (cancelled) return;
+  // Depth-first search with an explicit stack of frames, so the depth is not
+  // bounded by the call stack however many words there are.
+  function search(remaining) {
+    const stack = [];
+    const root = enterNode(remaining);
+    if (root) stack.push(root);
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const { chosen } = frame;
+      if (frame.placed) {
+        const { p, newly } = frame.placed;
+        currentIntersections -= p.score;
+        currentPlacements.delete(chosen.id);
+        undo(newly);
+        frame.placed = null;
+      }
+      if (cancelled || frame.next === frame.placements.length) {
+        stack.pop();
+        continue;
+      }
+      // Placements that spell a word too often never reach enterNode, so
+      // each one tried counts against the budget here.
+      if (++iterations > maxIterations || (iterations % 256 === 0 && outOfTime())) {
+        cancelled = true;
+        continue;
+      }
+
+      const p = frame.placements[frame.next++];
       const newly = placeWord(chosen.word, p);
       currentPlacements.set(chosen.id, { word: chosen.word, row: p.row, col: p.col, dir: p.dir, score: p.score });
       currentIntersections += p.score;
+      frame.placed = { p, newly };
 
-      if (countsWithinLimits()) search(rest);
-
-      currentIntersections -= p.score;
-      currentPlacements.delete(chosen.id);
-      undo(newly);
-      if (cancelled) return;
+      if (overLimit === 0) {
+        const child = enterNode(frame.rest);
+        if (child) stack.push(child);
+      }
     }
   }
 
-  search(wordObjs);
+  // ---- Pinned words go in first and stay put ----
+  const pinnedIds = new Set();
+  for (const pin of options.pinned || []) {
+    const { word, row, col, dir, cells } = resolvePin(pin, { directions, width, height, mask: options.mask });
+    const obj = wordObjs.find(w => w.word === word && !pinnedIds.has(w.id));
+    if (!obj) throw new Error(`Pinned word ${word} is not in the word list.`);
+    let score = 0;
+    cells.forEach(([r, c], k) => {
+      if (grid[r][c] !== null && grid[r][c] !== word[k]) {
+        throw new Error(`Pinned word ${word} clashes with another pinned word.`);
+      }
+      if (grid[r][c] === word[k]) score++;
+    });
+    placeWord(word, { row, col, dir });
+    currentPlacements.set(obj.id, { word, row, col, dir, score });
+    currentIntersections += score;
+    pinnedIds.add(obj.id);
+  }
+  if (overLimit > 0) throw new Error("The pinned words spell one of the words more often than it is listed.");
+
+  search(wordObjs.filter(w => !pinnedIds.has(w.id)));
   if (best) {
     if (onProgress) onProgress(1);
     const placementsOut = [];
@@ -398,7 +702,15 @@ export function generateWordSearchGrid(words, letters, width, height, options =
       const p = best.placementsById.get(id);
       placementsOut.push({ word, row: p.row, col: p.col, dir: p.dir });
     }
-    return { grid: best.filledGridRows.slice(), placements: placementsOut, partial: false };
+    const result = { grid: best.filledGridRows.slice(), placements: placementsOut, partial: false };
+    if (message.length) result.message = { text: message.join(""), cells: best.messageCells };
+    return result;
+  }
+
+  // Every complete layout left too few free cells; a partial grid would lose the message.
+  if (mostFreeCells >= 0) {
+    if (onProgress) onProgress(1);
+    throw notEnoughCellsForMessage(message.length, mostFreeCells);
   }
 
   if (bestPartial) {
@@ -410,40 +722,13 @@ export function generateWordSearchGrid(words, letters, width, height, options =
     return { grid: bestPartial.filledGridRows.slice(), placements: placementsOut, partial: true };
   }
 
-  const msg = cancelled
+  const msg = timedOut
+    ? `Unable to generate a valid grid within ${timeLimitMs / 1000} seconds.`
+    : cancelled
     ? `Unable to generate a valid grid within ${maxIterations} iterations.`
     : "Unable to generate a valid grid under the exactly-once constraint.";
   if (onProgress) onProgress(1);
   throw new Error(msg);
-
-  // ---- tiny seedable RNG (mulberry32 via xmur3 hash) ----
-  function makeRNG(seed) {
-    if (seed === undefined || seed === null) return Math.random;
-    const s = typeof seed === 'number' ? (seed >>> 0) : xmur3(String(seed))();
-    const m = mulberry32(s);
-    return () => m();
-  }
-  function xmur3(str) {
-    let h = 1779033703 ^ str.length;
-    for (let i = 0; i < str.length; i++) {
-      h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
-      h = (h << 13) | (h >>> 19);
-    }
-    return function() {
-      h = Math.imul(h ^ (h >>> 16), 2246822507);
-      h = Math.imul(h ^ (h >>> 13), 3266489909);
-      h ^= h >>> 16;
-      return h >>> 0;
-    };
-  }
-  function mulberry32(a) {
-    return function() {
-      let t = a += 0x6D2B79F5;
-      t = Math.imul(t ^ (t >>> 15), t | 1);
-      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-    };
-  }
 }
 
 export default generateWordSearchGrid;
@@ -1,6 +1,12 @@
 import { DARK_PALETTE } from '../constants/settings'
+import { createRandom } from './random'
 
 export const getRandomPaletteColor = () =>
   DARK_PALETTE[Math.floor(Math.random() * DARK_PALETTE.length)]
 
+// A palette colour per cell that depends only on `seed` and the cell, so the
+// preview and every download of a grid colour it alike.
+export const createPaletteColors = (seed) => (i, j) =>
+  DARK_PALETTE[Math.floor(createRandom(`${seed}:${i}:${j}`)() * DARK_PALETTE.length)]
+
 export default getRandomPaletteColor
@@ -0,0 +1,31 @@
+// Near-miss fragments of the hidden words ("ELEPHAN", "GIRAF", "TIGEP") for
+// the decoy filler. Generators plant them into empty cells only where they
+// don't complete a hidden word, so the exactly-once guarantee is unaffected.
+export const createDecoyFragments = (words, letters, random = Math.random) => {
+  const fragments = new Set()
+  for (const word of words) {
+    const chars = [...word]
+    if (chars.length < 3) continue
+    // Truncated prefixes, the most convincing false starts.
+    fragments.add(chars.slice(0, -1).join(''))
+    if (chars.length > 3) fragments.add(chars.slice(0, -2).join(''))
+    // The whole word with one letter (never the first) swapped out.
+    const alternatives = letters.filter((ch) => !chars.includes(ch))
+    if (alternatives.length) {
+      const pos = 1 + Math.floor(random() * (chars.length - 1))
+      const swapped = chars.slice()
+      swapped[pos] = alternatives[Math.floor(random() * alternatives.length)]
+      fragments.add(swapped.join(''))
+    }
+  }
+  for (const word of words) fragments.delete(word)
+
+  const list = [...fragments]
+  for (let i = list.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1))
+    ;[list[i], list[j]] = [list[j], list[i]]
+  }
+  return list
+}
+
+export default createDecoyFragments
@@ -0,0 +1,61 @@
+// Reading directions a hidden word can take. `dr`/`dc` are the row/column
+// steps between consecutive letters; the `R` suffix marks the reversed
+// counterpart of a base direction.
+export const DIRECTIONS = {
+  H: { dr: 0, dc: 1, label: '→', title: 'Left to right' },
+  HR: { dr: 0, dc: -1, label: '←', title: 'Right to left' },
+  V: { dr: 1, dc: 0, label: '↓', title: 'Top to bottom' },
+  VR: { dr: -1, dc: 0, label: '↑', title: 'Bottom to top' },
+  D: { dr: 1, dc: 1, label: '↘', title: 'Diagonal down-right' },
+  DR: { dr: -1, dc: -1, label: '↖', title: 'Diagonal up-left' },
+  A: { dr: 1, dc: -1, label: '↙', title: 'Diagonal down-left' },
+  AR: { dr: -1, dc: 1, label: '↗', title: 'Diagonal up-right' },
+}
+
+export const ALL_DIRECTIONS = Object.keys(DIRECTIONS)
+export const DEFAULT_DIRECTIONS = ['H', 'V']
+
+export const reverseDirection = (dir) =>
+  dir.endsWith('R') ? dir.slice(0, -1) : `${dir}R`
+
+// Keeps known directions only, deduped and in canonical order.
+export const normalizeDirections = (dirs) => {
+  const requested = new Set(Array.isArray(dirs) ? dirs : [])
+  const result = ALL_DIRECTIONS.filter((dir) => requested.has(dir))
+  return result.length ? result : DEFAULT_DIRECTIONS.slice()
+}
+
+// Directions in which a word occupies distinct cell sets. A single letter
+// reads the same in every direction, and a palindrome reads the same in a
+// direction and its reverse, so those duplicates are dropped to keep
+// occurrence counts honest.
+export const directionsForWord = (word, dirs) => {
+  if (word.length <= 1) return dirs.slice(0, 1)
+  const reversed = [...word].reverse()
+  const isPalindrome = [...word].every((ch, i) => ch === reversed[i])
+  if (!isPalindrome) return dirs.slice()
+  return dirs.filter((dir) => !(dir.endsWith('R') && dirs.includes(reverseDirection(dir))))
+}
+
+// Longest word that fits a width×height rectangle in at least one direction.
+export const maxWordLength = (dirs, width, height) =>
+  dirs.reduce((max, dir) => {
+    const { dr, dc } = DIRECTIONS[dir]
+    const limit = Math.min(dr ? height : Infinity, dc ? width : Infinity)
+    return Math.max(max, limit)
+  }, 0)
+
+// Range of start rows/cols for which a word of length `len` stays inside
+// the grid when read in direction `dir`.
+export const startRange = (dir, len, width, height) => {
+  const { dr, dc } = DIRECTIONS[dir]
+  const span = len - 1
+  return {
+    rowMin: dr < 0 ? span : 0,
+    rowMax: dr > 0 ? height - 1 - span : height - 1,
+    colMin: dc < 0 ? span : 0,
+    colMax: dc > 0 ? width - 1 - span : width - 1,
+  }
+}
+
+export default DIRECTIONS
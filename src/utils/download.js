@@ -1,10 +1,25 @@
-export const downloadCanvasImage = (canvas, words, format = 'png') => {
+import { setPngDpi } from './png'
+import { verifyPuzzle } from './solver'
+import { fileStemForWords, parseWordEntries } from './words'
+
+const IMAGE_TOO_LARGE =
+  'The browser could not save an image this large; lower the image resolution and try again.'
+
+// `suffix` marks variants of the same puzzle, such as "_key" for the answer
+// key; `dpi` is recorded in PNG files for print software. Throws when the
+// browser cannot encode the canvas, usually because it is too large.
+export const downloadCanvasImage = async (
+  canvas,
+  words,
+  format = 'png',
+  { suffix = '', dpi } = {}
+) => {
   if (!canvas) {
     return
   }
 
-  const firstWord = words?.trim().split(/\s+/)[0] || 'image'
-  const baseFile = `${firstWord}_${canvas.width}x${canvas.height}px`
+  const firstWord = fileStemForWords(words, 'image')
+  const baseFile = `${firstWord}${suffix}_${canvas.width}x${canvas.height}px`
   const link = document.createElement('a')
 
   if (format === 'jpeg') {
@@ -19,13 +34,53 @@ export const downloadCanvasImage = (canvas, words, format = 'png') => {
     ctx.fillRect(0, 0, tmp.width, tmp.height)
     ctx.drawImage(canvas, 0, 0)
     link.href = tmp.toDataURL('image/jpeg')
+    if (link.href === 'data:,') {
+      throw new Error(IMAGE_TOO_LARGE)
+    }
     link.download = `${baseFile}.jpeg`
-  } else {
-    link.href = canvas.toDataURL('image/png')
-    link.download = `${baseFile}.png`
+    link.click()
+    return
+  }
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'))
+  if (!blob) {
+    throw new Error(IMAGE_TOO_LARGE)
+  }
+  const png = new Uint8Array(await blob.arrayBuffer())
+  const bytes = dpi ? setPngDpi(png, dpi) : png
+  link.href = URL.createObjectURL(new Blob([bytes], { type: 'image/png' }))
+  link.download = `${baseFile}.png`
+  link.click()
+  URL.revokeObjectURL(link.href)
+}
+
+// `image` is what renderGridToSvg returns: { svg, width, height }.
+export const downloadSvg = (image, words) => {
+  if (!image) {
+    return
+  }
+
+  const { svg, width, height } = image
+  const blob = new Blob([svg], { type: 'image/svg+xml' })
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = `${fileStemForWords(words, 'image')}_${width}x${height}.svg`
+  link.click()
+  URL.revokeObjectURL(link.href)
+}
+
+// `bytes` is the file createPuzzlePdf writes.
+export const downloadPdf = (bytes, words) => {
+  if (!bytes) {
+    return
   }
 
+  const blob = new Blob([bytes], { type: 'application/pdf' })
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = `${fileStemForWords(words, 'wordsearch')}.pdf`
   link.click()
+  URL.revokeObjectURL(link.href)
 }
 
 export const downloadJSON = (gridData, words) => {
@@ -33,21 +88,51 @@ export const downloadJSON = (gridData, words) => {
     return
   }
 
-  const wordsArray = words?.trim().split(/\s+/).filter(Boolean) || []
-  const firstWord = wordsArray[0] || 'wordsearch'
+  const wordsArray = parseWordEntries(words)
+  const firstWord = fileStemForWords(words, 'wordsearch')
   const filename = `${firstWord}_${gridData.grid[0]?.length || 0}x${gridData.grid?.length || 0}.json`
   
+  // Re-solve the grid for every requested word rather than trusting the
+  // generator's placements, so words it left out show up as missing.
+  const placements = gridData.placements || []
+  const verification = verifyPuzzle(
+    gridData.grid,
+    gridData.requestedWords ?? placements.map(({ word }) => word),
+    placements,
+    {
+      directions: gridData.options?.directions,
+      digraphs: gridData.options?.digraphs,
+      folding: gridData.options?.folding,
+      blockedWords: gridData.blockedWords,
+    }
+  )
+
+  // Rows stay strings, as exports have always had them, unless a cell holds
+  // more than one code unit (a digraph, accented cluster or emoji); then
+  // every row is an array of cells.
+  const singleUnitCells = gridData.grid.every((row) =>
+    Array.from(row).every((cell) => cell.length === 1)
+  )
   const jsonData = {
     words: wordsArray,
-    grid: gridData.grid,
-    placements: gridData.placements || [],
+    grid: singleUnitCells ? gridData.grid.map((row) => Array.from(row).join('')) : gridData.grid,
+    placements,
+    ...(gridData.message && { hiddenMessage: gridData.message }),
     dimensions: {
       width: gridData.grid[0]?.length || 0,
       height: gridData.grid?.length || 0
     },
     metadata: {
       generatedAt: new Date().toISOString(),
-      partial: gridData.partial || false
+      partial: gridData.partial || false,
+      seed: gridData.seed ?? null,
+      difficulty: gridData.difficulty ?? 'custom',
+      letters: gridData.letters ?? '',
+      extraBlockedWords: gridData.extraBlockedWords ?? [],
+      options: gridData.options ?? {},
+      verification,
+      ...(gridData.repairs !== undefined && { repairs: gridData.repairs }),
+      ...(gridData.unresolved !== undefined && { unresolved: gridData.unresolved })
     }
   }
 
@@ -0,0 +1,32 @@
+import { SCREEN_DPI } from '../constants/settings'
+
+const CM_PER_INCH = 2.54
+// Browsers refuse canvases much larger than this on a side, or with too many
+// pixels in all: Chrome stops at about 268 million, Safari well before, so
+// exports stay at a quarter of that.
+const MAX_CANVAS_SIDE = 16384
+const MAX_CANVAS_AREA = 64 * 1024 * 1024
+
+// The canvas scale and the DPI of an image download, given the export
+// resolution settings and the size of the image at scale 1, in pixels.
+// `reduced` tells whether the scale had to be lowered to fit the limits.
+export const resolveExportScale = (settings, { width, height }) => {
+  const { mode, scale, dpi, printWidth, unit } = settings
+  const inches = unit === 'in' ? Number(printWidth) : Number(printWidth) / CM_PER_INCH
+  const printing = mode === 'print' && width > 0 && inches > 0
+  const wanted = printing ? (inches * dpi) / width : Number(scale) || 1
+  const largest = Math.max(width || 0, height || 0)
+  const area = (width || 0) * (height || 0)
+  const fitted = Math.min(
+    wanted,
+    largest > 0 ? MAX_CANVAS_SIDE / largest : Infinity,
+    area > 0 ? Math.sqrt(MAX_CANVAS_AREA / area) : Infinity
+  )
+  return {
+    scale: fitted,
+    dpi: printing ? (fitted * width) / inches : SCREEN_DPI * fitted,
+    reduced: fitted < wanted,
+  }
+}
+
+export default resolveExportScale
@@ -1,3 +1,48 @@
+import {
+  ALL_DIRECTIONS,
+  DIRECTIONS,
+  directionsForWord,
+  normalizeDirections,
+  startRange,
+} from './directions.js';
+import { createRandom, createWeightedSampler } from './random.js';
+import { MASKED_CELL, isCellOpen } from './masks.js';
+import { createDecoyFragments } from './decoys.js';
+import { notEnoughCellsForMessage, toMessageLetters } from './hiddenMessage.js';
+import { resolvePin } from './pins.js';
+
+/**
+ * Quickly scatter words over the grid in random positions. Words may cross
+ * each other on identical letters, sharing at most `maxOverlap` cells per
+ * word (0 keeps words apart; unlimited by default). When a word has nowhere to
+ * go, earlier words are moved to other positions until `maxAttempts`
+ * placements have been tried; words that still don't fit are skipped and the
+ * result is `partial`. Running past `timeLimitMs` also stops the search.
+ * Either way the result is the most complete layout the search reached, with
+ * any words still missing placed where they fit. Cells switched off in `mask`
+ * stay empty and come back as MASKED_CELL. Words in `pinned`
+ * ({ word, row, col, dir }) are placed first and never moved.
+ *
+ * With `filler: 'decoy'` near-miss fragments of the words are planted in the
+ * leftover cells before the random fill. After the fill, any accidental extra
+ * copy of a hidden word — or any of `blockedWords`, in any direction — is
+ * broken up by re-rolling one of its filler cells; `repairs` counts those
+ * re-rolls. The repair runs even when the time limit is spent, bounded by
+ * `maxRepairRounds`; copies it could not break up are counted in
+ * `unresolved` and make the result `partial`.
+ *
+ * A `hiddenMessage` takes the first free cells in reading order once the words
+ * are placed (see ./hiddenMessage.js); those cells are never re-rolled.
+ * Filler letters are drawn uniformly, or by `letterWeights` (relative
+ * frequency per letter) when given.
+ *
+ * @param {string[]} words
+ * @param {string[]} letters
+ * @param {number} width
+ * @param {number} height
+ * @param {{ seed?: number|string, directions?: string[], mask?: boolean[][], filler?: 'random'|'decoy', blockedWords?: string[], hiddenMessage?: string, letterWeights?: Record<string, number>, pinned?: Array<{word:string,row:number,col:number,dir:string}>, maxOverlap?: number|null, maxAttempts?: number, maxRepairRounds?: number, timeLimitMs?: number, onProgress?: (ratio:number)=>void }} [options]
+ * @returns {{ grid: string[], placements: Array<{word:string,row:number,col:number,dir:string}>, partial: boolean, repairs: number, message?: { text: string, cells: Array<{row:number,col:number}> } }}
+ */
 export default function generateFreeWordSearchGrid(words, letters, width, height, options = {}) {
   if (!Array.isArray(words)) throw new Error('words must be an array');
   if (!Array.isArray(letters)) throw new Error('letters must be an array');
@@ -16,61 +61,315 @@ export default function generateFreeWordSearchGrid(words, letters, width, height
   for (const w of cleanWords) for (const ch of w) allowed.add(ch);
   if (allowed.size === 0) throw new Error('No letters available to fill the grid.');
 
-  const grid = Array.from({ length: height }, () => Array(width).fill(null));
-  const placements = [];
-  let placed = 0;
+  const directions = normalizeDirections(options.directions);
+  const maxOverlap = options.maxOverlap ?? Infinity;
+  const maxAttempts = options.maxAttempts ?? 2000;
+  const maxRepairRounds = options.maxRepairRounds ?? 50;
+  const deadline = options.timeLimitMs ? Date.now() + options.timeLimitMs : Infinity;
+  const grid = Array.from({ length: height }, (_, r) =>
+    Array.from({ length: width }, (_, c) => (isCellOpen(options.mask, r, c) ? null : MASKED_CELL))
+  );
   const onProgress = options.onProgress;
+  const rand = createRandom(options.seed);
   const wordsSorted = cleanWords.slice().sort((a, b) => b.length - a.length);
 
   function randomChoice(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(rand() * arr.length)];
+  }
+  function shuffleInPlace(a) {
+    for (let i = a.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
   }
 
-  for (const word of wordsSorted) {
+  // Positions where every cell is empty or already holds the matching letter.
+  // A word never lies entirely on top of letters that are already there.
+  function enumeratePlacements(word) {
     const L = word.length;
     const possible = [];
-
-    for (let r = 0; r < height; r++) {
-      for (let c = 0; c <= width - L; c++) {
-        let ok = true;
-        for (let k = 0; k < L; k++) {
-          if (grid[r][c + k] !== null) { ok = false; break; }
+    for (const dir of directionsForWord(word, directions)) {
+      const { dr, dc } = DIRECTIONS[dir];
+      const { rowMin, rowMax, colMin, colMax } = startRange(dir, L, width, height);
+      for (let r = rowMin; r <= rowMax; r++) {
+        for (let c = colMin; c <= colMax; c++) {
+          let ok = true, overlap = 0;
+          for (let k = 0; k < L; k++) {
+            const cell = grid[r + k * dr][c + k * dc];
+            if (cell === null) continue;
+            if (cell !== word[k] || ++overlap > maxOverlap) { ok = false; break; }
+          }
+          if (ok && overlap < L) possible.push({ row: r, col: c, dir });
         }
-        if (ok) possible.push({ row: r, col: c, dir: 'H' });
       }
     }
-    for (let r = 0; r <= height - L; r++) {
-      for (let c = 0; c < width; c++) {
-        let ok = true;
-        for (let k = 0; k < L; k++) {
-          if (grid[r + k][c] !== null) { ok = false; break; }
+    return possible;
+  }
+
+  function placeWord(word, p) {
+    const newly = [];
+    const { dr, dc } = DIRECTIONS[p.dir];
+    for (let k = 0; k < word.length; k++) {
+      const r = p.row + k * dr, c = p.col + k * dc;
+      if (grid[r][c] === null) { grid[r][c] = word[k]; newly.push([r, c]); }
+    }
+    return newly;
+  }
+  function undo(newly) { for (const [r, c] of newly) grid[r][c] = null; }
+
+  // ---- Occurrence bookkeeping: an occurrence is identified by its cell set ----
+  const placedKeys = new Set();
+  function occurrenceKey(word, row, col, dir) {
+    const { dr, dc } = DIRECTIONS[dir];
+    const cells = [];
+    for (let k = 0; k < word.length; k++) cells.push((row + k * dr) * width + (col + k * dc));
+    return `${word}:${cells.sort((a, b) => a - b).join(',')}`;
+  }
+
+  // Words the fill must not spell: the hidden words in their own directions,
+  // blocked words in every direction.
+  const hiddenChecks = wordsSorted.map(word => ({ word, dirs: directionsForWord(word, directions) }));
+  const blockedChecks = [
+    ...new Set((options.blockedWords || []).map(w => String(w).trim().toUpperCase()))
+  ]
+    .filter(w => w.length > 0 && !cleanWords.includes(w))
+    .map(word => ({ word, dirs: directionsForWord(word, ALL_DIRECTIONS) }));
+  const fillChecks = hiddenChecks.concat(blockedChecks);
+
+  // Calls visit(word, row, col, dir) for every complete occurrence passing through (r,c).
+  function forEachOccurrenceThrough(r, c, visit, checks = fillChecks) {
+    const ch = grid[r][c];
+    for (const { word, dirs } of checks) {
+      const L = word.length;
+      for (const dir of dirs) {
+        const { dr, dc } = DIRECTIONS[dir];
+        for (let pos = 0; pos < L; pos++) {
+          if (word[pos] !== ch) continue;
+          const sr = r - pos * dr, sc = c - pos * dc;
+          const er = sr + (L - 1) * dr, ec = sc + (L - 1) * dc;
+          if (sr < 0 || sr >= height || sc < 0 || sc >= width) continue;
+          if (er < 0 || er >= height || ec < 0 || ec >= width) continue;
+          let ok = true;
+          for (let k = 0; k < L; k++) {
+            if (grid[sr + k * dr][sc + k * dc] !== word[k]) { ok = false; break; }
+          }
+          if (ok) visit(word, sr, sc, dir);
         }
-        if (ok) possible.push({ row: r, col: c, dir: 'V' });
       }
     }
+  }
+
+  function hasExtraOccurrenceThrough(cells, checks = fillChecks) {
+    let extra = false;
+    for (const [r, c] of cells) {
+      forEachOccurrenceThrough(r, c, (word, row, col, dir) => {
+        if (!placedKeys.has(occurrenceKey(word, row, col, dir))) extra = true;
+      }, checks);
+      if (extra) return true;
+    }
+    return false;
+  }
+
+  // Places a word unless its letters, together with the ones already placed,
+  // spell a copy of some hidden word that no placement accounts for. Blocked
+  // words are left to the fill: where the hidden words spell one, it's unavoidable.
+  function tryPlace(word, p) {
+    const key = occurrenceKey(word, p.row, p.col, p.dir);
+    const newly = placeWord(word, p);
+    placedKeys.add(key);
+    if (hasExtraOccurrenceThrough(newly, hiddenChecks)) {
+      placedKeys.delete(key);
+      undo(newly);
+      return null;
+    }
+    placements.push({ word, row: p.row, col: p.col, dir: p.dir });
+    return newly;
+  }
+  function unplace(newly) {
+    const p = placements.pop();
+    placedKeys.delete(occurrenceKey(p.word, p.row, p.col, p.dir));
+    undo(newly);
+  }
+
+  // ---- Backtracking over random positions, bounded by maxAttempts ----
+  const placements = [];
+  let attempts = 0;
+  let deepest = 0;
+
+  // ---- Pinned words go in first and stay put ----
+  const pinnedWords = new Set();
+  for (const pin of options.pinned || []) {
+    const { word, row, col, dir, cells } = resolvePin(pin, { directions, width, height, mask: options.mask });
+    if (!cleanWords.includes(word)) throw new Error(`Pinned word ${word} is not in the word list.`);
+    if (pinnedWords.has(word)) throw new Error(`Pinned word ${word} is pinned twice.`);
+    if (cells.some(([r, c], k) => grid[r][c] !== null && grid[r][c] !== word[k])) {
+      throw new Error(`Pinned word ${word} clashes with another pinned word.`);
+    }
+    if (!tryPlace(word, { row, col, dir })) {
+      throw new Error('The pinned words spell one of the words more often than it is listed.');
+    }
+    pinnedWords.add(word);
+  }
+  const toPlace = wordsSorted.filter(w => !pinnedWords.has(w));
+
+  // The most complete layout the search has reached, beyond the pins.
+  let deepestLayout = [];
+  function placeFrom(idx) {
+    if (idx === toPlace.length) return true;
+    const word = toPlace[idx];
+    for (const p of shuffleInPlace(enumeratePlacements(word))) {
+      if (attempts++ >= maxAttempts || Date.now() > deadline) return false;
+      const newly = tryPlace(word, p);
+      if (!newly) continue;
+      if (idx + 1 > deepest) {
+        deepest = idx + 1;
+        deepestLayout = placements.slice(pinnedWords.size);
+        if (onProgress) onProgress(deepest / toPlace.length);
+      }
+      if (placeFrom(idx + 1)) return true;
+      unplace(newly);
+    }
+    return false;
+  }
 
-    if (possible.length === 0) {
-      break;
+  // ---- Fallback: the deepest layout, then one random position for each
+  // word still missing, skipping words that don't fit ----
+  function placeFromDeepest() {
+    for (const p of deepestLayout) tryPlace(p.word, p);
+    const placed = new Set(deepestLayout.map(p => p.word));
+    for (const word of toPlace) {
+      if (placed.has(word)) continue;
+      for (const p of shuffleInPlace(enumeratePlacements(word))) {
+        if (tryPlace(word, p)) break;
+      }
     }
+  }
 
-    const chosen = randomChoice(possible);
-    if (chosen.dir === 'H') {
-      for (let k = 0; k < L; k++) grid[chosen.row][chosen.col + k] = word[k];
-    } else {
-      for (let k = 0; k < L; k++) grid[chosen.row + k][chosen.col] = word[k];
+  if (!placeFrom(0)) placeFromDeepest();
+
+  // ---- Hidden message: the first free cells in reading order ----
+  const message = toMessageLetters(options.hiddenMessage);
+  const messageCells = [];
+  if (message.length) {
+    for (let r = 0; r < height && messageCells.length < message.length; r++) {
+      for (let c = 0; c < width && messageCells.length < message.length; c++) {
+        if (grid[r][c] === null) messageCells.push([r, c]);
+      }
+    }
+    if (messageCells.length < message.length) {
+      throw notEnoughCellsForMessage(message.length, messageCells.length);
+    }
+    messageCells.forEach(([r, c], k) => { grid[r][c] = message[k]; });
+    // Occurrences the fill later completes get repaired; these never could be.
+    if (hasExtraOccurrenceThrough(messageCells, hiddenChecks)) {
+      throw new Error('The hidden message spells one of the words a second time; reword it or try another seed.');
     }
-    placements.push({ word, row: chosen.row, col: chosen.col, dir: chosen.dir });
-    placed++;
-    if (onProgress) onProgress(placed / wordsSorted.length);
   }
 
   const allowedArr = [...allowed];
+  const weighted = options.letterWeights ? createWeightedSampler(allowedArr, options.letterWeights, rand) : null;
+  function fillerLetter() {
+    return weighted ? weighted.pick() : randomChoice(allowedArr);
+  }
+  const fillerCells = [];
+
+  // ---- Decoy filler: near-miss fragments in runs of empty cells ----
+  function plantDecoys() {
+    const empties = [];
+    for (let r = 0; r < height; r++) {
+      for (let c = 0; c < width; c++) if (grid[r][c] === null) empties.push([r, c]);
+    }
+    if (empties.length === 0) return;
+    for (const fragment of createDecoyFragments(wordsSorted, allowedArr, rand)) {
+      for (let attempt = 0; attempt < 20; attempt++) {
+        const [r0, c0] = randomChoice(empties);
+        const { dr, dc } = DIRECTIONS[randomChoice(directions)];
+        const cells = [];
+        for (let k = 0; k < fragment.length; k++) {
+          const r = r0 + k * dr, c = c0 + k * dc;
+          if (r < 0 || r >= height || c < 0 || c >= width || grid[r][c] !== null) break;
+          cells.push([r, c]);
+        }
+        if (cells.length < fragment.length) continue;
+        cells.forEach(([r, c], k) => { grid[r][c] = fragment[k]; });
+        if (hasExtraOccurrenceThrough(cells)) {
+          for (const [r, c] of cells) grid[r][c] = null;
+          continue;
+        }
+        fillerCells.push(...cells);
+        break;
+      }
+    }
+  }
+  if (options.filler === 'decoy') plantDecoys();
+
   for (let r = 0; r < height; r++) {
     for (let c = 0; c < width; c++) {
-      if (grid[r][c] === null) grid[r][c] = randomChoice(allowedArr);
+      if (grid[r][c] === null) {
+        grid[r][c] = fillerLetter();
+        fillerCells.push([r, c]);
+      }
+    }
+  }
+
+  // ---- Exactly-once check: re-roll filler cells that spell extra copies ----
+  const isFiller = Array.from({ length: height }, () => Array(width).fill(false));
+  for (const [r, c] of fillerCells) isFiller[r][c] = true;
+
+  function findExtraOccurrences() {
+    const extras = new Map();
+    for (const [r, c] of fillerCells) {
+      forEachOccurrenceThrough(r, c, (word, row, col, dir) => {
+        const key = occurrenceKey(word, row, col, dir);
+        if (!placedKeys.has(key)) extras.set(key, { word, row, col, dir });
+      });
     }
+    return [...extras.values()];
   }
+
+  let repairs = 0;
+  let extras = findExtraOccurrences();
+  for (let round = 0; round < maxRepairRounds && extras.length > 0; round++) {
+    for (const { word, row, col, dir } of extras) {
+      const { dr, dc } = DIRECTIONS[dir];
+      const cells = [];
+      let intact = true;
+      for (let k = 0; k < word.length; k++) {
+        const r = row + k * dr, c = col + k * dc;
+        if (grid[r][c] !== word[k]) { intact = false; break; }
+        if (isFiller[r][c]) cells.push([r, c]);
+      }
+      // An earlier re-roll in this round may already have broken it up.
+      if (!intact || cells.length === 0) continue;
+
+      const [r, c] = randomChoice(cells);
+      const previous = grid[r][c];
+      const order = weighted ? weighted.shuffle() : shuffleInPlace(allowedArr.slice());
+      const candidates = order.filter(ch => ch !== previous);
+      if (candidates.length === 0) continue;
+      const safe = candidates.find(ch => {
+        grid[r][c] = ch;
+        return !hasExtraOccurrenceThrough([[r, c]]);
+      });
+      grid[r][c] = safe ?? candidates[0];
+      repairs++;
+    }
+    extras = findExtraOccurrences();
+  }
+
   if (onProgress) onProgress(1);
   const rows = grid.map(row => row.join(''));
-  return { grid: rows, placements, partial: placed < wordsSorted.length };
+  const unresolved = extras.length;
+  const result = {
+    grid: rows,
+    placements,
+    partial: placements.length < wordsSorted.length || unresolved > 0,
+    repairs,
+    unresolved,
+  };
+  if (message.length) {
+    result.message = { text: message.join(''), cells: messageCells.map(([row, col]) => ({ row, col })) };
+  }
+  return result;
 }
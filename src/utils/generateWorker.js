@@ -1,13 +1,19 @@
 import generateWordSearchGrid from './MultiWordMatrixGenerator.js';
 import generateFreeWordSearchGrid from './freeWordSearchGenerator.js';
+import { generateUniqueWordSearchGrid } from './wordMatrixGenerator.js';
+import { withGraphemeCells } from './graphemes.js';
+
+const GENERATORS = {
+  free: withGraphemeCells(generateFreeWordSearchGrid),
+  intersections: withGraphemeCells(generateWordSearchGrid),
+  unique: withGraphemeCells(generateUniqueWordSearchGrid),
+};
 
 self.onmessage = (e) => {
   const { words, letters, width, height, options } = e.data;
   const { encoding = 'free', ...rest } = options || {};
   try {
-    const generator = encoding === 'intersections'
-      ? generateWordSearchGrid
-      : generateFreeWordSearchGrid;
+    const generator = GENERATORS[encoding] ?? GENERATORS.free;
     const result = generator(words, letters, width, height, {
       ...rest,
       onProgress: (p) => self.postMessage({ type: 'progress', progress: p })
@@ -0,0 +1,126 @@
+import { createRandom } from './random'
+
+const MAX_POOL_SIZE = 4
+
+// Leaves one core for the UI thread.
+export const getPoolSize = () => {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0
+  return Math.max(1, Math.min(MAX_POOL_SIZE, (cores || 2) - 1))
+}
+
+// Seed of the i-th worker. The first worker uses the seed as given, so a
+// seed reported back from any worker reproduces that worker's run.
+const workerSeed = (seed, index) => (index === 0 ? seed : `${seed}-${index}`)
+
+// Unless the request fixes one, the tie-breaker is derived from the seed
+// rather than the worker index for the same reason.
+const tieBreakerForSeed = (seed) => (createRandom(seed)() < 0.5 ? 'random' : 'center')
+
+// A worker's options depend on its seed alone, never on the pool size, so a
+// seed gives the same grid on every machine and in a pool of one.
+const workerOptions = (options, seed) => ({
+  ...options,
+  seed,
+  tieBreaker: options.tieBreaker ?? tieBreakerForSeed(seed),
+  stopOnFirstSolution: true,
+})
+
+const placedCount = (result) => result?.placements?.length ?? 0
+
+/**
+ * Runs the same generation request in `size` workers, each with its own seed
+ * and tie-breaker, and settles on the first complete grid — or, once every
+ * worker has finished, on the partial grid that placed the most words (the
+ * lowest worker's on a tie). A worker that crashes counts as failed.
+ * Callers that must reproduce a given seed exactly run a pool of one.
+ *
+ * The resolved result carries the `seed` and full `options` of the worker
+ * that produced it. Returns a handle whose `terminate()` stops every worker.
+ */
+export const startGenerationPool = ({
+  createWorker,
+  payload,
+  size = 1,
+  onProgress,
+  onResult,
+  onError,
+}) => {
+  const workers = []
+  const progress = Array(size).fill(0)
+  const results = []
+  const errors = []
+  let finished = 0
+  let settled = false
+
+  const terminate = () => {
+    settled = true
+    workers.forEach((worker) => worker.terminate())
+  }
+
+  const settle = () => {
+    if (settled || finished < size) {
+      return
+    }
+    terminate()
+    const best = results
+      .filter(Boolean)
+      .reduce((acc, result) => (placedCount(result) > placedCount(acc) ? result : acc), null)
+    if (best) {
+      onResult?.(best)
+    } else {
+      onError?.(errors[0] ?? 'Unable to generate a grid.')
+    }
+  }
+
+  const { seed, ...options } = payload.options ?? {}
+  for (let index = 0; index < size; index += 1) {
+    const ownSeed = workerSeed(seed, index)
+    const ownOptions = workerOptions(options, ownSeed)
+
+    const worker = createWorker()
+    workers.push(worker)
+    const fail = (message) => {
+      finished += 1
+      progress[index] = 1
+      errors.push(message)
+      settle()
+    }
+    worker.onmessage = (event) => {
+      if (settled) {
+        return
+      }
+      const { type } = event.data
+      if (type === 'progress') {
+        progress[index] = event.data.progress ?? 0
+        onProgress?.(progress.reduce((sum, value) => sum + value, 0) / size)
+        return
+      }
+      if (type === 'error') {
+        fail(event.data.message)
+        return
+      }
+      finished += 1
+      progress[index] = 1
+      const result = { ...event.data.result, seed: ownSeed, options: ownOptions }
+      if (!result.partial) {
+        terminate()
+        onResult?.(result)
+        return
+      }
+      // Kept by worker index so a tie goes the same way whichever finished first.
+      results[index] = result
+      settle()
+    }
+    worker.onerror = (event) => {
+      event.preventDefault?.()
+      if (!settled) {
+        fail(event.message || 'A generation worker stopped unexpectedly.')
+      }
+    }
+    worker.postMessage({ ...payload, options: ownOptions })
+  }
+
+  return { terminate }
+}
+
+export default startGenerationPool
@@ -0,0 +1,120 @@
+// One cell holds one grapheme: what a reader sees as a single letter, even
+// when it takes several code points (a letter plus combining marks, an emoji,
+// a flag) or, with a language's digraph rules, several letters (Dutch IJ,
+// Welsh LL). Everything that turns text into cells goes through here.
+
+const segmenter =
+  typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null
+
+// Grapheme clusters of `text`. Without Intl.Segmenter combining marks stay
+// separate from their letter, but letters written precomposed still work.
+const clustersOf = (text) =>
+  segmenter ? Array.from(segmenter.segment(text), ({ segment }) => segment) : Array.from(text)
+
+// Letter folding: `letters` maps upper-case letters to their replacement
+// (Ё → Е), `stripMarks` drops accents (É → E). Only the combining diacritics
+// of Latin, Greek and Cyrillic are dropped, so vowel signs of other scripts
+// and emoji variation selectors survive.
+const foldText = (text, { letters = {}, stripMarks = false } = {}) => {
+  const stripped = stripMarks
+    ? text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC')
+    : text
+  return Array.from(stripped, (ch) => letters[ch] ?? ch).join('')
+}
+
+// Splits text into cells: upper-cased, precomposed where Unicode allows,
+// folded by `folding`, and with `digraphs` joined into one cell, longest first.
+export const splitGraphemes = (text, { digraphs = [], folding } = {}) => {
+  const upper = String(text ?? '').normalize('NFC').toUpperCase()
+  const clusters = clustersOf(folding ? foldText(upper, folding) : upper)
+  if (!digraphs.length) return clusters
+  const rules = digraphs
+    .map((digraph) => clustersOf(String(digraph).normalize('NFC').toUpperCase()))
+    .sort((a, b) => b.length - a.length)
+  const cells = []
+  for (let i = 0; i < clusters.length; ) {
+    const rule = rules.find((parts) => parts.every((part, k) => clusters[i + k] === part))
+    const length = rule?.length || 1
+    cells.push(clusters.slice(i, i + length).join(''))
+    i += length
+  }
+  return cells
+}
+
+// Whether a cell is placed in the grid: spaces, hyphens and other
+// punctuation are not, every other grapheme (letters, digits, emoji) is.
+export const isPlacedCell = (cell) => !/^[\p{Z}\p{P}\s]+$/u.test(cell)
+
+// The cells of a word or phrase as placed in the grid ("T-REX" → TREX).
+export const wordCells = (text, rules) => splitGraphemes(text, rules).filter(isPlacedCell)
+
+// The generators index words and grid rows as strings, one UTF-16 unit per
+// cell. A codec gives every cell that is longer than that its own character
+// from the Private Use Area for the duration of a run.
+const FIRST_CODE = 0xe000
+
+export const createCellCodec = () => {
+  const toCode = new Map()
+  const fromCode = new Map()
+  const encodeCell = (cell) => {
+    if (cell.length === 1) return cell
+    if (!toCode.has(cell)) {
+      const code = String.fromCharCode(FIRST_CODE + toCode.size)
+      toCode.set(cell, code)
+      fromCode.set(code, cell)
+    }
+    return toCode.get(cell)
+  }
+  return {
+    encode: (cells) => cells.map(encodeCell).join(''),
+    decode: (text) => Array.from(String(text), (ch) => fromCode.get(ch) ?? ch),
+  }
+}
+
+// Wraps a generator so it takes words, letters and options as plain text and
+// returns grid rows as arrays of cells. `options.digraphs` and
+// `options.folding` are the cell rules of the puzzle's language.
+export const withGraphemeCells =
+  (generator) =>
+  (words, letters, width, height, options = {}) => {
+    const { digraphs = [], folding, ...rest } = options
+    const rules = { digraphs, folding }
+    const codec = createCellCodec()
+    const encodeText = (text) => codec.encode(splitGraphemes(text, rules))
+    const encodeWord = (text) => codec.encode(wordCells(text, rules))
+    const decodeText = (text) => codec.decode(text).join('')
+
+    const encoded = { ...rest }
+    if (rest.blockedWords) encoded.blockedWords = rest.blockedWords.map(encodeWord)
+    if (rest.pinned) encoded.pinned = rest.pinned.map((pin) => ({ ...pin, word: encodeWord(pin.word) }))
+    if (rest.hiddenMessage) encoded.hiddenMessage = encodeWord(rest.hiddenMessage)
+    if (rest.letterWeights) {
+      encoded.letterWeights = {}
+      for (const [letter, weight] of Object.entries(rest.letterWeights)) {
+        const key = encodeText(letter)
+        encoded.letterWeights[key] = (encoded.letterWeights[key] ?? 0) + weight
+      }
+    }
+
+    let result
+    try {
+      result = generator(words.map(encodeWord), letters.map(encodeText), width, height, encoded)
+    } catch (err) {
+      throw new Error(decodeText(err.message))
+    }
+    return {
+      ...result,
+      grid: result.grid.map((row) => codec.decode(Array.isArray(row) ? row.join('') : row)),
+      placements: result.placements.map((placement) => ({
+        ...placement,
+        word: decodeText(placement.word),
+      })),
+      ...(result.message && {
+        message: { ...result.message, text: decodeText(result.message.text) },
+      }),
+    }
+  }
+
+export default splitGraphemes
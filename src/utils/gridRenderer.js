@@ -1,7 +1,13 @@
 import tinycolor from 'tinycolor2'
 import { ensureFontLoaded } from './font'
-
-const getDashPattern = (style, lineThickness) => {
+import { splitGraphemes } from './graphemes'
+import { fileStemForWords } from './words'
+import { forEachMaskEdge, isCellOpen, MASKED_CELL } from './masks'
+import { placementCells } from './pins'
+import { drawWordBank, layoutWordBank } from './wordBank'
+import { ANSWER_KEY_COLORS } from '../constants/settings'
+
+export const getDashPattern = (style, lineThickness) => {
   const normalized = Math.max(1, lineThickness)
   const dashMap = {
     solid: [],
@@ -11,13 +17,99 @@ const getDashPattern = (style, lineThickness) => {
   return dashMap[style] ?? []
 }
 
+// Separators and border for a shaped grid: separators between open cells,
+// the border along the outline of the shape.
+export const strokeMaskEdges = (ctx, { mask, rows, cols, cell, margin, showSeparators, showBorder }) => {
+  ctx.beginPath()
+  forEachMaskEdge(mask, cols, rows, (x1, y1, x2, y2, isOutline) => {
+    if (isOutline ? !showBorder : !showSeparators) return
+    ctx.moveTo(margin + x1 * cell, margin + y1 * cell)
+    ctx.lineTo(margin + x2 * cell, margin + y2 * cell)
+  })
+  ctx.stroke()
+}
+
+// The colour of each letter: solid, a palette colour per cell from
+// `paletteColorProvider(i, j)`, or mixed from the four corner colours of the
+// gradient.
+export const createCellColors = ({
+  colorMode,
+  solidColor,
+  gradientColors,
+  rows,
+  cols,
+  paletteColorProvider,
+}) => {
+  const paletteProvider =
+    typeof paletteColorProvider === 'function' ? paletteColorProvider : () => solidColor
+
+  const getGradientColor = (i, j) => {
+    if (!gradientColors) {
+      return solidColor
+    }
+    const xRatio = cols <= 1 ? 0 : j / (cols - 1)
+    const yRatio = rows <= 1 ? 0 : i / (rows - 1)
+    const top = tinycolor.mix(gradientColors.tl, gradientColors.tr, xRatio * 100)
+    const bottom = tinycolor.mix(gradientColors.bl, gradientColors.br, xRatio * 100)
+    return tinycolor.mix(top, bottom, yRatio * 100).toHexString()
+  }
+
+  return (i, j) => {
+    if (colorMode === 'gradient') return getGradientColor(i, j)
+    if (colorMode === 'random') return paletteProvider(i, j)
+    return solidColor
+  }
+}
+
+// Answer-key highlights: a translucent capsule under each placed word, or a
+// line struck through it, in a colour of its own. `rules` are the puzzle's
+// cell rules, to count the cells of each word.
+export const drawAnswerKey = (ctx, { placements, cell, margin, shape, opacity, rules }) => {
+  ctx.save()
+  ctx.globalAlpha = opacity
+  ctx.lineCap = 'round'
+  ctx.setLineDash([])
+  ctx.lineWidth = shape === 'line' ? Math.max(2, cell * 0.12) : cell * 0.75
+  placements.forEach((placement, index) => {
+    const cells = placementCells(placement, rules)
+    const [[r1, c1], [r2, c2]] = [cells[0], cells[cells.length - 1]]
+    const x1 = margin + c1 * cell + cell / 2
+    const y1 = margin + r1 * cell + cell / 2
+    const color = ANSWER_KEY_COLORS[index % ANSWER_KEY_COLORS.length]
+    ctx.strokeStyle = color
+    ctx.fillStyle = color
+    ctx.beginPath()
+    if (cells.length === 1) {
+      // A zero-length stroke draws nothing, round caps or not.
+      ctx.arc(x1, y1, ctx.lineWidth / 2, 0, Math.PI * 2)
+      ctx.fill()
+    } else {
+      ctx.moveTo(x1, y1)
+      ctx.lineTo(margin + c2 * cell + cell / 2, margin + r2 * cell + cell / 2)
+      ctx.stroke()
+    }
+  })
+  ctx.restore()
+}
+
+// With `answerKey.show`, `placements` are highlighted as in drawAnswerKey.
+// `wordBank` settings ({ position, columns, order }) lay out `wordBankItems`
+// next to the grid (see ./wordBank); the canvas grows to make room. `scale`
+// multiplies the canvas resolution without changing the layout.
 export const renderGridToCanvas = async ({
   canvas,
   grid,
   words,
   style,
   separators,
+  mask,
   paletteColorProvider,
+  placements = [],
+  answerKey,
+  cellRules,
+  wordBank,
+  wordBankItems = [],
+  scale = 1,
 }) => {
   if (!canvas || !Array.isArray(grid) || grid.length === 0) {
     return null
@@ -35,8 +127,10 @@ export const renderGridToCanvas = async ({
   const { showSeparators, showBorder, lineThickness, separatorColor, separatorStyle } =
     separators
 
-  const rows = grid.length
-  const cols = grid[0]?.length ?? 0
+  // Rows are arrays of cells; a row given as a string is split into graphemes.
+  const cells = grid.map((row) => (Array.isArray(row) ? row : splitGraphemes(row)))
+  const rows = cells.length
+  const cols = cells[0]?.length ?? 0
   if (rows === 0 || cols === 0) {
     return null
   }
@@ -52,40 +146,57 @@ export const renderGridToCanvas = async ({
   const fontSpec = `${bold ? 'bold ' : ''}${Math.floor(cell * 0.6)}px "${font}"`
   await ensureFontLoaded(fontSpec)
 
-  canvas.width = cols * cell + m * 2
-  canvas.height = rows * cell + m * 2
-
-  ctx.clearRect(0, 0, canvas.width, canvas.height)
+  const bankLayout = layoutWordBank(ctx, {
+    ...wordBank,
+    items: wordBankItems,
+    font,
+    bold,
+    cell,
+    gridWidth: cols * cell,
+    gridHeight: rows * cell,
+    margin: m,
+  })
+
+  const width = bankLayout?.width ?? cols * cell + m * 2
+  const height = bankLayout?.height ?? rows * cell + m * 2
+  canvas.width = Math.round(width * scale)
+  canvas.height = Math.round(height * scale)
+
+  ctx.setTransform(scale, 0, 0, scale, 0, 0)
+  ctx.clearRect(0, 0, width, height)
   ctx.textAlign = 'center'
   ctx.textBaseline = 'middle'
   ctx.font = fontSpec
 
-  const paletteProvider =
-    typeof paletteColorProvider === 'function' ? paletteColorProvider : () => solidColor
-
-  const getGradientColor = (i, j) => {
-    if (!gradientColors) {
-      return solidColor
-    }
-    const xRatio = cols <= 1 ? 0 : j / (cols - 1)
-    const yRatio = rows <= 1 ? 0 : i / (rows - 1)
-    const top = tinycolor.mix(gradientColors.tl, gradientColors.tr, xRatio * 100)
-    const bottom = tinycolor.mix(gradientColors.bl, gradientColors.br, xRatio * 100)
-    return tinycolor.mix(top, bottom, yRatio * 100).toHexString()
+  const cellColor = createCellColors({
+    colorMode,
+    solidColor,
+    gradientColors,
+    rows,
+    cols,
+    paletteColorProvider,
+  })
+
+  const keyOptions = answerKey?.show && {
+    placements,
+    cell,
+    margin: m,
+    shape: answerKey.shape,
+    opacity: answerKey.opacity,
+    rules: cellRules,
+  }
+  if (keyOptions && keyOptions.shape !== 'line') {
+    drawAnswerKey(ctx, keyOptions)
   }
 
   for (let i = 0; i < rows; i += 1) {
     for (let j = 0; j < cols; j += 1) {
+      if (cells[i][j] === MASKED_CELL || !isCellOpen(mask, i, j)) continue
       const x = m + j * cell + cell / 2
       const y = m + i * cell + cell / 2
-      let fillStyle = solidColor
-      if (colorMode === 'gradient') {
-        fillStyle = getGradientColor(i, j)
-      } else if (colorMode === 'random') {
-        fillStyle = paletteProvider()
-      }
-      ctx.fillStyle = fillStyle
-      ctx.fillText(grid[i][j], x, y)
+      ctx.fillStyle = cellColor(i, j)
+      // Digraphs and wide graphemes are squeezed to fit their cell.
+      ctx.fillText(cells[i][j], x, y, cell * 0.9)
     }
   }
 
@@ -95,7 +206,9 @@ export const renderGridToCanvas = async ({
     ctx.lineWidth = lineThickness
     ctx.setLineDash(getDashPattern(separatorStyle, lineThickness))
 
-    if (showSeparators) {
+    if (mask) {
+      strokeMaskEdges(ctx, { mask, rows, cols, cell, margin: m, showSeparators, showBorder })
+    } else if (showSeparators) {
       for (let i = 1; i < cols; i += 1) {
         const x = m + i * cell
         ctx.beginPath()
@@ -112,14 +225,22 @@ export const renderGridToCanvas = async ({
       }
     }
 
-    if (showBorder) {
+    if (showBorder && !mask) {
       ctx.strokeRect(m, m, cols * cell, rows * cell)
     }
 
     ctx.restore()
   }
 
-  const firstWord = words?.trim().split(/\s+/)[0] || 'image'
+  if (keyOptions && keyOptions.shape === 'line') {
+    drawAnswerKey(ctx, keyOptions)
+  }
+
+  if (bankLayout) {
+    drawWordBank(ctx, bankLayout, { color: solidColor, strike: Boolean(keyOptions) })
+  }
+
+  const firstWord = fileStemForWords(words, 'image')
   const baseFile = `${firstWord}_${canvas.width}x${canvas.height}px`
   const fileName = `${baseFile}.png`
   const dataUrl = canvas.toDataURL('image/png')
@@ -0,0 +1,20 @@
+import { isPlacedCell } from './graphemes.js'
+
+// Hidden messages: once the words are placed, the first free cells in reading
+// order (left to right, top to bottom) spell out a message that the solver
+// reads off after circling every word. Spaces and punctuation are dropped;
+// multi-character cells arrive as single private-use characters (see
+// ./graphemes.js).
+export const toMessageLetters = (text) =>
+  [...String(text ?? '').toUpperCase()].filter(isPlacedCell)
+
+// `available` is the count of cells actually left free, or with `atMost` an
+// upper bound worked out before placing anything.
+export const notEnoughCellsForMessage = (needed, available, { atMost = false } = {}) =>
+  new Error(
+    atMost
+      ? `Not enough free cells for the hidden message: it needs ${needed} letters but at most ${available} cells can be left after placing the words.`
+      : `Not enough free cells for the hidden message: it needs ${needed} letters but only ${available} cells are left after placing the words.`
+  )
+
+export default toMessageLetters
@@ -0,0 +1,117 @@
+// Cell masks: `mask[row][col]` is true where a letter goes and false where
+// the cell is cut out of the shape. Generators write MASKED_CELL into
+// cut-out cells, so a masked grid is still a list of equal-length rows.
+export const MASKED_CELL = ' '
+
+export const MASK_SHAPES = [
+  { id: 'none', label: 'Rectangle' },
+  { id: 'circle', label: 'Circle' },
+  { id: 'heart', label: 'Heart' },
+  { id: 'star', label: 'Star' },
+  { id: 'tree', label: 'Tree' },
+  { id: 'custom', label: 'Custom (draw it)' },
+]
+
+const STAR_POINTS = Array.from({ length: 10 }, (_, i) => {
+  const angle = -Math.PI / 2 + (i * Math.PI) / 5
+  const radius = i % 2 === 0 ? 1 : 0.5
+  return [Math.cos(angle) * radius * 1.05, (Math.sin(angle) * radius + 0.095) * 1.1]
+})
+
+const insidePolygon = (x, y, points) => {
+  let inside = false
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const [xi, yi] = points[i]
+    const [xj, yj] = points[j]
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Shape tests on cell centres mapped to [-1, 1] × [-1, 1], y pointing down.
+const SHAPE_TESTS = {
+  circle: (x, y) => x * x + y * y <= 1.05,
+  heart: (x, y) => {
+    const hx = x * 1.15
+    const hy = -y * 1.12 + 0.1
+    const a = hx * hx + hy * hy - 1
+    return a * a * a - hx * hx * hy * hy * hy <= 0
+  },
+  star: (x, y) => insidePolygon(x, y, STAR_POINTS),
+  tree: (x, y) => {
+    if (y > 0.6) return Math.abs(x) <= 0.25
+    return Math.abs(x) <= ((y + 1) / 1.6) * 1.05
+  },
+}
+
+export const createFullMask = (width, height) =>
+  Array.from({ length: height }, () => Array(width).fill(true))
+
+export const createShapeMask = (shape, width, height) => {
+  const test = SHAPE_TESTS[shape]
+  if (!test) return createFullMask(width, height)
+  return Array.from({ length: height }, (_, row) =>
+    Array.from({ length: width }, (_, col) => {
+      const x = width <= 1 ? 0 : ((col + 0.5) / width) * 2 - 1
+      const y = height <= 1 ? 0 : ((row + 0.5) / height) * 2 - 1
+      return test(x, y)
+    })
+  )
+}
+
+// Crops or pads (with open cells) a mask to the given size.
+export const resizeMask = (mask, width, height) =>
+  Array.from({ length: height }, (_, row) =>
+    Array.from({ length: width }, (_, col) => mask?.[row]?.[col] ?? true)
+  )
+
+export const isMaskFull = (mask) => !mask || mask.every((row) => row.every(Boolean))
+
+// The mask the generators and renderers should use, or null for a plain rectangle.
+export const resolveMask = ({ shape = 'none', customMask = null, width, height }) => {
+  if (shape === 'none') return null
+  const mask =
+    shape === 'custom'
+      ? resizeMask(customMask, width, height)
+      : createShapeMask(shape, width, height)
+  return isMaskFull(mask) ? null : mask
+}
+
+export const isCellOpen = (mask, row, col) => !mask || mask[row]?.[col] !== false
+
+export const countOpenCells = (mask, width, height) => {
+  let count = 0
+  for (let row = 0; row < height; row += 1) {
+    for (let col = 0; col < width; col += 1) {
+      if (isCellOpen(mask, row, col)) count += 1
+    }
+  }
+  return count
+}
+
+// Walks every cell edge touching at least one open cell and reports it as
+// `visit(x1, y1, x2, y2, isOutline)` in cell units: an edge between two open
+// cells is a separator, one between an open cell and a cut-out cell (or the
+// grid's edge) belongs to the outline.
+export const forEachMaskEdge = (mask, width, height, visit) => {
+  const open = (row, col) =>
+    row >= 0 && row < height && col >= 0 && col < width && isCellOpen(mask, row, col)
+  for (let row = 0; row < height; row += 1) {
+    for (let col = 0; col <= width; col += 1) {
+      const left = open(row, col - 1)
+      const right = open(row, col)
+      if (left || right) visit(col, row, col, row + 1, left !== right)
+    }
+  }
+  for (let row = 0; row <= height; row += 1) {
+    for (let col = 0; col < width; col += 1) {
+      const above = open(row - 1, col)
+      const below = open(row, col)
+      if (above || below) visit(col, row, col + 1, row, above !== below)
+    }
+  }
+}
+
+export default createShapeMask
@@ -0,0 +1,162 @@
+import { ensureFontLoaded } from './font'
+import { createPdf, MM_TO_PT, PAGE_SIZES } from './pdfWriter'
+
+// Puzzles are rendered for print at this resolution by default, whatever the
+// cell size.
+const PRINT_DPI = 200
+// Space between puzzles that share a page, in points.
+const SLOT_GAP = 18
+
+// Boxes for 1 puzzle per page, 2 stacked or 4 in a 2×2 grid, in points from
+// the top-left corner of the page.
+export const pageSlots = ({ width, height }, margin, perPage) => {
+  const columns = perPage >= 4 ? 2 : 1
+  const rows = perPage >= 2 ? 2 : 1
+  const slotWidth = (width - margin * 2 - SLOT_GAP * (columns - 1)) / columns
+  const slotHeight = (height - margin * 2 - SLOT_GAP * (rows - 1)) / rows
+  return Array.from({ length: columns * rows }, (_, k) => ({
+    x: margin + (k % columns) * (slotWidth + SLOT_GAP),
+    y: margin + Math.floor(k / columns) * (slotHeight + SLOT_GAP),
+    width: slotWidth,
+    height: slotHeight,
+  }))
+}
+
+// A puzzle with its title above it, scaled to fit `slot` and rendered at
+// `dpi`. `renderGrid(canvas, scale)` draws the grid and word bank.
+// Returns the sheet canvas and its size on the page in points.
+const renderSheet = async ({ title, style, slot, dpi, renderGrid }) => {
+  const gridCanvas = document.createElement('canvas')
+  if (!(await renderGrid(gridCanvas, 1))) {
+    return null
+  }
+
+  const cell = Number(style.cellSize) || 40
+  const titleSize = Math.max(16, Math.round(cell * 0.6))
+  const titleFont = `bold ${titleSize}px "${style.font}"`
+  const titleHeight = title ? titleSize * 2 : 0
+  const width = gridCanvas.width
+  const height = gridCanvas.height + titleHeight
+
+  const fit = Math.min(slot.width / width, slot.height / height)
+  const scale = (fit * dpi) / 72
+  await renderGrid(gridCanvas, scale)
+
+  const sheet = document.createElement('canvas')
+  sheet.width = Math.round(width * scale)
+  sheet.height = Math.round(height * scale)
+  const ctx = sheet.getContext('2d')
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, sheet.width, sheet.height)
+  if (title) {
+    await ensureFontLoaded(titleFont)
+    ctx.save()
+    ctx.scale(scale, scale)
+    ctx.font = titleFont
+    ctx.fillStyle = style.solidColor
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText(title, width / 2, titleHeight / 2, width)
+    ctx.restore()
+  }
+  ctx.drawImage(gridCanvas, 0, Math.round(titleHeight * scale))
+  return { canvas: sheet, width: width * fit, height: height * fit }
+}
+
+// The canvas as a PDF image: deflated RGB where the browser can compress,
+// otherwise a JPEG.
+const toPdfImage = async (canvas) => {
+  const { width, height } = canvas
+  if (typeof CompressionStream !== 'undefined') {
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height)
+    const rgb = new Uint8Array(width * height * 3)
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+      rgb[j] = data[i]
+      rgb[j + 1] = data[i + 1]
+      rgb[j + 2] = data[i + 2]
+    }
+    const stream = new Blob([rgb]).stream().pipeThrough(new CompressionStream('deflate'))
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer())
+    return { data: bytes, filter: 'FlateDecode', pixelWidth: width, pixelHeight: height }
+  }
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.95))
+  if (!blob) {
+    throw new Error('the browser could not encode a page image.')
+  }
+  return {
+    data: new Uint8Array(await blob.arrayBuffer()),
+    filter: 'DCTDecode',
+    pixelWidth: width,
+    pixelHeight: height,
+  }
+}
+
+/**
+ * Lays out `puzzles` (grid data as the controller keeps it) on printable
+ * pages, `settings.perPage` to a page, followed by their answer keys when
+ * `settings.answerKeys` is set.
+ *
+ * `renderGrid(canvas, puzzle, showKey, scale)` draws one puzzle, with or
+ * without its answer key; `style` supplies the title's font and colour.
+ * Puzzles are embedded as images of `dpi` dots per inch.
+ *
+ * @returns {Promise<Uint8Array>} the PDF file
+ */
+export const createPuzzlePdf = async ({
+  puzzles,
+  settings,
+  style,
+  renderGrid,
+  dpi = PRINT_DPI,
+}) => {
+  const page = PAGE_SIZES[settings.pageSize] ?? PAGE_SIZES.a4
+  const slots = pageSlots(page, settings.margin * MM_TO_PT, settings.perPage)
+  const baseTitle = settings.title.trim()
+  const numbered = puzzles.length > 1
+
+  const sheets = puzzles.map((puzzle, k) => ({
+    puzzle,
+    showKey: false,
+    title: numbered ? `${baseTitle} ${k + 1}`.trim() : baseTitle,
+  }))
+  if (settings.answerKeys) {
+    sheets.push(
+      ...sheets.map((sheet) => ({
+        ...sheet,
+        showKey: true,
+        title: `${sheet.title} (answer key)`.trim(),
+      }))
+    )
+  }
+
+  const pages = []
+  for (let k = 0; k < sheets.length; k += 1) {
+    const { puzzle, showKey, title } = sheets[k]
+    // Answer keys start on a fresh page.
+    const index = showKey ? k - puzzles.length : k
+    if (index % slots.length === 0) {
+      pages.push({ images: [] })
+    }
+    const slot = slots[index % slots.length]
+    const sheet = await renderSheet({
+      title,
+      style,
+      slot,
+      dpi,
+      renderGrid: (canvas, scale) => renderGrid(canvas, puzzle, showKey, scale),
+    })
+    if (!sheet) continue
+    const image = await toPdfImage(sheet.canvas)
+    pages[pages.length - 1].images.push({
+      ...image,
+      x: slot.x + (slot.width - sheet.width) / 2,
+      y: slot.y,
+      width: sheet.width,
+      height: sheet.height,
+    })
+  }
+
+  return createPdf(pages, { ...page, title: baseTitle })
+}
+
+export default createPuzzlePdf
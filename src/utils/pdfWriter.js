@@ -0,0 +1,114 @@
+// A minimal PDF writer: pages of placed images, nothing else. Puzzles are
+// rendered to canvases with the app's own fonts and embedded as images, so
+// any script prints exactly as previewed and no font has to be embedded.
+
+// Page sizes in points (1/72 inch).
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  letter: { label: 'US Letter', width: 612, height: 792 },
+}
+
+export const MM_TO_PT = 72 / 25.4
+
+const encoder = new TextEncoder()
+
+const number = (value) => String(Math.round(value * 100) / 100)
+
+// Text as a PDF text string in UTF-16BE, so titles in any script survive.
+const pdfText = (text) =>
+  `<FEFF${Array.from({ length: String(text).length }, (_, i) =>
+    String(text).charCodeAt(i).toString(16).padStart(4, '0')
+  ).join('')}>`
+
+/**
+ * Writes a PDF document.
+ *
+ * `pages` are `{ images: [{ data, filter, pixelWidth, pixelHeight, x, y, width, height }] }`:
+ * `data` is the image stream (RGB pixels compressed for `filter`
+ * 'FlateDecode', or a JPEG file for 'DCTDecode'); the image is drawn in the
+ * box at `x`, `y` (top-left corner, in points from the top-left of the page)
+ * of `width` × `height` points.
+ *
+ * @param {Array<{ images: Array<object> }>} pages
+ * @param {{ width: number, height: number, title?: string }} page
+ * @returns {Uint8Array}
+ */
+export const createPdf = (pages, { width, height, title = '' }) => {
+  const chunks = []
+  const offsets = []
+  let length = 0
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk
+    chunks.push(bytes)
+    length += bytes.length
+  }
+  // Objects are numbered in the order they are written, from 1.
+  const object = (body, stream) => {
+    offsets.push(length)
+    write(`${offsets.length} 0 obj\n${body}\n`)
+    if (stream) {
+      write('stream\n')
+      write(stream)
+      write('\nendstream\n')
+    }
+    write('endobj\n')
+    return offsets.length
+  }
+
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')
+  // Catalog and page tree first, with the page list filled in below.
+  const imageCount = pages.reduce((sum, page) => sum + page.images.length, 0)
+  const pageIds = pages.map((_, index) => 3 + imageCount + index * 2)
+  object('<< /Type /Catalog /Pages 2 0 R >>')
+  object(
+    `<< /Type /Pages /Count ${pages.length} /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] >>`
+  )
+
+  const imageIds = pages.map((page) =>
+    page.images.map(({ data, filter, pixelWidth, pixelHeight }) =>
+      object(
+        `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+          `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /${filter} /Length ${data.length} >>`,
+        data
+      )
+    )
+  )
+
+  pages.forEach((page, pageIndex) => {
+    const names = imageIds[pageIndex].map((id, k) => `/Im${k + 1} ${id} 0 R`).join(' ')
+    const content = page.images
+      .map(
+        (image, k) =>
+          `q ${number(image.width)} 0 0 ${number(image.height)} ${number(image.x)} ` +
+          `${number(height - image.y - image.height)} cm /Im${k + 1} Do Q`
+      )
+      .join('\n')
+    // Each page is followed by its content stream, as pageIds assumes.
+    object(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(width)} ${number(height)}] ` +
+        `/Resources << /XObject << ${names} >> >> /Contents ${pageIds[pageIndex] + 1} 0 R >>`
+    )
+    const stream = encoder.encode(content)
+    object(`<< /Length ${stream.length} >>`, stream)
+  })
+
+  const infoId = object(`<< /Title ${pdfText(title)} /Producer (Word Search Matrix) >>`)
+
+  const xrefOffset = length
+  write(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`)
+  offsets.forEach((offset) => write(`${String(offset).padStart(10, '0')} 00000 n \n`))
+  write(
+    `trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`
+  )
+
+  const out = new Uint8Array(length)
+  let position = 0
+  for (const chunk of chunks) {
+    out.set(chunk, position)
+    position += chunk.length
+  }
+  return out
+}
+
+export default createPdf
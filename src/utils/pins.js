@@ -0,0 +1,58 @@
+import { DIRECTIONS, directionsForWord, reverseDirection } from './directions.js'
+import { splitGraphemes } from './graphemes.js'
+import { isCellOpen } from './masks.js'
+
+// Pinned words ({ word, row, col, dir }) are placed before the generators
+// start and never moved. A pin is checked against the grid and turned into
+// one of the directions the generator reads the word in: a palindrome pinned
+// right-to-left is the same placement as left-to-right from its other end.
+export const resolvePin = (pin, { directions, width, height, mask }) => {
+  const word = String(pin?.word ?? '').trim().toUpperCase()
+  const length = word.length
+  let { row, col, dir } = pin ?? {}
+  if (!DIRECTIONS[dir]) {
+    throw new Error(`Pinned word ${word} has an unknown direction (${dir}).`)
+  }
+  const readable = directionsForWord(word, directions)
+  if (length === 1) {
+    dir = readable[0]
+  } else if (
+    !readable.includes(dir) &&
+    readable.includes(reverseDirection(dir)) &&
+    [...word].reverse().join('') === word
+  ) {
+    row += DIRECTIONS[dir].dr * (length - 1)
+    col += DIRECTIONS[dir].dc * (length - 1)
+    dir = reverseDirection(dir)
+  }
+  if (!readable.includes(dir)) {
+    throw new Error(
+      `Pinned word ${word} runs ${DIRECTIONS[dir].title.toLowerCase()}, which is not an enabled direction.`
+    )
+  }
+
+  const { dr, dc } = DIRECTIONS[dir]
+  const cells = []
+  for (let k = 0; k < length; k += 1) {
+    const r = row + k * dr
+    const c = col + k * dc
+    if (r < 0 || r >= height || c < 0 || c >= width || !isCellOpen(mask, r, c)) {
+      throw new Error(`Pinned word ${word} doesn't fit at row ${row + 1}, column ${col + 1}.`)
+    }
+    cells.push([r, c])
+  }
+  return { word, row, col, dir, cells }
+}
+
+// The cells a placement covers, as [row, col] pairs, one per grapheme;
+// `rules` are the puzzle's digraphs and folding.
+export const placementCells = ({ word, row, col, dir }, rules = {}) => {
+  const { dr, dc } = DIRECTIONS[dir]
+  const { length } = splitGraphemes(word, rules)
+  return Array.from({ length }, (_, k) => [row + k * dr, col + k * dc])
+}
+
+export const isSamePlacement = (a, b) =>
+  a.word === b.word && a.row === b.row && a.col === b.col && a.dir === b.dir
+
+export default resolvePin
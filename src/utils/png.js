@@ -0,0 +1,74 @@
+// Canvases encode PNGs without a physical resolution, so print software
+// guesses one. setPngDpi records the intended DPI in a pHYs chunk.
+
+const INCHES_PER_METRE = 100 / 2.54
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const SIGNATURE_LENGTH = 8
+
+const chunk = (type, data) => {
+  const out = new Uint8Array(data.length + 12)
+  const view = new DataView(out.buffer)
+  view.setUint32(0, data.length)
+  for (let i = 0; i < 4; i += 1) out[4 + i] = type.charCodeAt(i)
+  out.set(data, 8)
+  view.setUint32(data.length + 8, crc32(out.subarray(4, data.length + 8)))
+  return out
+}
+
+/**
+ * Returns a copy of `png` (the bytes of a PNG file) that states `dpi` as its
+ * resolution, replacing any resolution it had. pHYs goes right after IHDR,
+ * as it must come before the image data.
+ *
+ * @param {Uint8Array} png
+ * @param {number} dpi
+ * @returns {Uint8Array}
+ */
+export const setPngDpi = (png, dpi) => {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength)
+  const parts = [png.subarray(0, SIGNATURE_LENGTH)]
+  const pixelsPerMetre = Math.round(dpi * INCHES_PER_METRE)
+  const density = new Uint8Array(9)
+  new DataView(density.buffer).setUint32(0, pixelsPerMetre)
+  new DataView(density.buffer).setUint32(4, pixelsPerMetre)
+  density[8] = 1 // the unit is the metre
+
+  let offset = SIGNATURE_LENGTH
+  while (offset + 8 <= png.length) {
+    const end = offset + view.getUint32(offset) + 12
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8))
+    if (type !== 'pHYs') {
+      parts.push(png.subarray(offset, end))
+    }
+    if (type === 'IHDR') {
+      parts.push(chunk('pHYs', density))
+    }
+    offset = end
+  }
+
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  for (const part of parts) {
+    out.set(part, position)
+    position += part.length
+  }
+  return out
+}
+
+export default setPngDpi
@@ -1,5 +1,7 @@
 import tinycolor from 'tinycolor2'
 import { ensureFontLoaded } from './font'
+import { strokeMaskEdges } from './gridRenderer'
+import { isCellOpen } from './masks'
 
 const DOT_CHARACTER = '•'
 const HINT_LINES = ['CLICK HERE', 'to generate new grid']
@@ -30,6 +32,7 @@ export const drawPreview = async ({
   lineThickness,
   separatorColor,
   separatorStyle,
+  mask,
   paletteColorProvider,
 }) => {
   if (!canvas) {
@@ -72,6 +75,7 @@ export const drawPreview = async ({
 
   for (let i = 0; i < rows; i += 1) {
     for (let j = 0; j < cols; j += 1) {
+      if (!isCellOpen(mask, i, j)) continue
       const x = m + j * cell + cell / 2
       const y = m + i * cell + cell / 2
       let fillStyle = solidColor
@@ -91,7 +95,9 @@ export const drawPreview = async ({
     ctx.lineWidth = lineThickness
     ctx.setLineDash(getDashPattern(separatorStyle, lineThickness))
 
-    if (showSeparators) {
+    if (mask) {
+      strokeMaskEdges(ctx, { mask, rows, cols, cell, margin: m, showSeparators, showBorder })
+    } else if (showSeparators) {
       for (let i = 1; i < cols; i += 1) {
         const x = m + i * cell
         ctx.beginPath()
@@ -108,7 +114,7 @@ export const drawPreview = async ({
       }
     }
 
-    if (showBorder) {
+    if (showBorder && !mask) {
       ctx.strokeRect(m, m, cols * cell, rows * cell)
     }
 
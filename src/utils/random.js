@@ -1,13 +1,73 @@
-export const getRandomUniqueItems = (items, count) => {
+// ---- tiny seedable RNG (mulberry32 via xmur3 hash) ----
+const xmur3 = (str) => {
+  let h = 1779033703 ^ str.length
+  for (let i = 0; i < str.length; i += 1) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353)
+    h = (h << 13) | (h >>> 19)
+  }
+  return () => {
+    h = Math.imul(h ^ (h >>> 16), 2246822507)
+    h = Math.imul(h ^ (h >>> 13), 3266489909)
+    h ^= h >>> 16
+    return h >>> 0
+  }
+}
+
+const mulberry32 = (a) => () => {
+  let t = (a += 0x6d2b79f5)
+  t = Math.imul(t ^ (t >>> 15), t | 1)
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+}
+
+// Returns a `Math.random`-like function. Numbers and strings are both valid
+// seeds; without one the generator falls back to `Math.random`.
+export const createRandom = (seed) => {
+  if (seed === undefined || seed === null || seed === '') return Math.random
+  const s = typeof seed === 'number' ? seed >>> 0 : xmur3(String(seed))()
+  return mulberry32(s)
+}
+
+// Short, typeable seed for when the user didn't pick one.
+export const createSeed = () => Math.random().toString(36).slice(2, 8).toUpperCase()
+
+export const getRandomUniqueItems = (items, count, random = Math.random) => {
   if (!Array.isArray(items) || items.length === 0 || count <= 0) {
     return []
   }
 
   const pool = [...new Set(items)]
   for (let i = pool.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1))
+    const j = Math.floor(random() * (i + 1))
     ;[pool[i], pool[j]] = [pool[j], pool[i]]
   }
 
   return pool.slice(0, Math.min(count, pool.length))
 }
+
+// Weighted choice over `items`. Items missing from `weights` get the smallest
+// listed weight, so letters typed in by hand still turn up now and then.
+// `shuffle()` returns every item once, heavier ones tending to come first.
+export const createWeightedSampler = (items, weights, random = Math.random) => {
+  const listed = items.map((item) => weights?.[item]).filter((weight) => weight > 0)
+  const floor = listed.length ? Math.min(...listed) : 1
+  const itemWeights = items.map((item) => (weights?.[item] > 0 ? weights[item] : floor))
+  const total = itemWeights.reduce((sum, weight) => sum + weight, 0)
+
+  const pick = () => {
+    let target = random() * total
+    for (let i = 0; i < items.length; i += 1) {
+      target -= itemWeights[i]
+      if (target < 0) return items[i]
+    }
+    return items[items.length - 1]
+  }
+  // Efraimidis–Spirakis: order by random() ** (1 / weight), largest first.
+  const shuffle = () =>
+    items
+      .map((item, i) => [item, random() ** (1 / itemWeights[i])])
+      .sort((a, b) => b[1] - a[1])
+      .map(([item]) => item)
+
+  return { pick, shuffle }
+}
@@ -0,0 +1,105 @@
+import { ALL_DIRECTIONS, DIRECTIONS, directionsForWord, startRange } from './directions.js'
+import { splitGraphemes } from './graphemes.js'
+import { placementCells } from './pins.js'
+
+// Finds words in any grid given as rows of strings or arrays of cells,
+// independently of how the grid was made: use it to check exported puzzles,
+// spot accidental duplicates or build an answer key for a grid imported from
+// elsewhere. Matching is case-insensitive and by grapheme (pass the
+// language's `digraphs` and `folding` to match cells the way the puzzle was
+// made); a palindrome read both ways counts once.
+
+const toCells = (grid, rules) =>
+  grid.map((row) =>
+    Array.isArray(row) ? row.map((cell) => String(cell).toUpperCase()) : splitGraphemes(row, rules)
+  )
+
+const findInCells = (cells, word, directions, rules) => {
+  const height = cells.length
+  const width = height ? Math.max(...cells.map((row) => row.length)) : 0
+  const letters = splitGraphemes(word, rules)
+  const occurrences = []
+  for (const dir of directionsForWord(letters, directions)) {
+    const { dr, dc } = DIRECTIONS[dir]
+    const { rowMin, rowMax, colMin, colMax } = startRange(dir, letters.length, width, height)
+    for (let row = rowMin; row <= rowMax; row += 1) {
+      for (let col = colMin; col <= colMax; col += 1) {
+        const match = letters.every((ch, k) => cells[row + k * dr][col + k * dc] === ch)
+        if (match) occurrences.push({ word, row, col, dir })
+      }
+    }
+  }
+  return occurrences
+}
+
+const normalizeWords = (words) => [
+  ...new Set(words.map((word) => String(word).trim().toUpperCase()).filter(Boolean)),
+]
+
+// Every occurrence of every word: [{ word, occurrences: [{ word, row, col, dir }] }].
+export const solveGrid = (grid, words, { directions = ALL_DIRECTIONS, digraphs, folding } = {}) => {
+  const rules = { digraphs, folding }
+  const cells = toCells(grid, rules)
+  return normalizeWords(words).map((word) => ({
+    word,
+    occurrences: findInCells(cells, word, directions, rules),
+  }))
+}
+
+// Checks a finished puzzle: words that can't be found, words found more often
+// than they're listed (a word listed twice should appear twice), placements
+// that don't spell their word in the grid, and `options.blockedWords` spelled
+// anywhere but inside a placed word, which is the one place the generators
+// allow them.
+export const verifyPuzzle = (grid, words, placements = [], options = {}) => {
+  const rules = { digraphs: options.digraphs, folding: options.folding }
+  const cells = toCells(grid, rules)
+  const solved = solveGrid(grid, words, options)
+  const mismatched = placements.filter(({ word, row, col, dir }) => {
+    const { dr, dc } = DIRECTIONS[dir] ?? {}
+    if (dr === undefined) return true
+    return splitGraphemes(word, rules).some(
+      (ch, k) => cells[row + k * dr]?.[col + k * dc] !== ch
+    )
+  })
+  const missing = solved.filter(({ occurrences }) => occurrences.length === 0).map(({ word }) => word)
+  const listed = new Map()
+  for (const word of words) {
+    const key = String(word).trim().toUpperCase()
+    if (key) listed.set(key, (listed.get(key) ?? 0) + 1)
+  }
+  const duplicates = solved
+    .filter(({ word, occurrences }) => occurrences.length > listed.get(word))
+    .map(({ word, occurrences }) => ({ word, count: occurrences.length }))
+
+  const placedCells = placements.map((placement) =>
+    placementCells(placement, rules).map(([row, col]) => `${row},${col}`)
+  )
+  const insidePlacement = (occurrence) => {
+    const covered = placementCells(occurrence, rules).map(([row, col]) => `${row},${col}`)
+    return placedCells.some((placed) => covered.every((cell) => placed.includes(cell)))
+  }
+  const blockedWords = (options.blockedWords ?? []).filter(
+    (word) => !listed.has(String(word).trim().toUpperCase())
+  )
+  const blocked = solveGrid(grid, blockedWords, { ...options, directions: ALL_DIRECTIONS })
+    .map(({ word, occurrences }) => ({
+      word,
+      count: occurrences.filter((occurrence) => !insidePlacement(occurrence)).length,
+    }))
+    .filter(({ count }) => count > 0)
+
+  return {
+    ok:
+      missing.length === 0 &&
+      duplicates.length === 0 &&
+      mismatched.length === 0 &&
+      blocked.length === 0,
+    missing,
+    duplicates,
+    mismatched,
+    blocked,
+  }
+}
+
+export default solveGrid
@@ -0,0 +1,264 @@
+import { ensureFontLoaded } from './font'
+import { splitGraphemes } from './graphemes'
+import { createCellColors, getDashPattern } from './gridRenderer'
+import { forEachMaskEdge, isCellOpen, MASKED_CELL } from './masks'
+import { placementCells } from './pins'
+import { textOutline } from './textOutlines'
+import { layoutWordBank } from './wordBank'
+import { ANSWER_KEY_COLORS } from '../constants/settings'
+
+// Vector twin of renderGridToCanvas: the same layout, colours, separators,
+// answer key and word bank, as an SVG document. Random colours come from
+// `paletteColorProvider(i, j)` as on the canvas, so given the same provider
+// the SVG matches the preview cell for cell. Text is set in the grid's
+// font by name; with `textAsPaths` every letter is an approximate outline
+// traced from the font instead, for printers that don't have it. Returns
+// { svg, width, height }.
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`)
+
+const round = (value) => Math.round(value * 100) / 100
+
+const attrs = (values) =>
+  Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => {
+      const text = typeof value === 'number' ? round(value) : value
+      return `${name}="${escapeXml(text)}"`
+    })
+    .join(' ')
+
+// A canvas context to measure text as renderGridToCanvas would, so wide cells
+// and word-bank entries are squeezed the same way fillText's maxWidth does.
+const createMeasureContext = () =>
+  typeof document === 'undefined' ? null : document.createElement('canvas').getContext('2d')
+
+export const renderGridToSvg = async ({
+  grid,
+  style,
+  separators,
+  mask,
+  paletteColorProvider,
+  placements = [],
+  answerKey,
+  cellRules,
+  wordBank,
+  wordBankItems = [],
+  textAsPaths = false,
+}) => {
+  if (!Array.isArray(grid) || grid.length === 0) {
+    return null
+  }
+
+  const { cellSize, margin, font, bold, colorMode, solidColor, gradientColors } = style
+  const { showSeparators, showBorder, lineThickness, separatorColor, separatorStyle } =
+    separators
+
+  const cells = grid.map((row) => (Array.isArray(row) ? row : splitGraphemes(row)))
+  const rows = cells.length
+  const cols = cells[0]?.length ?? 0
+  if (rows === 0 || cols === 0) {
+    return null
+  }
+
+  const cell = Number(cellSize) || 40
+  const m = Number(margin) || 0
+  const weight = bold ? 'bold ' : ''
+  const fontFamily = `"${font}"`
+  const fontSize = Math.floor(cell * 0.6)
+  const fontSpec = `${weight}${fontSize}px ${fontFamily}`
+  await ensureFontLoaded(fontSpec)
+
+  const measureCtx = createMeasureContext()
+  const measure = (text, textFont) => {
+    if (!measureCtx) return 0
+    measureCtx.font = textFont
+    return measureCtx.measureText(text).width
+  }
+  const bankLayout =
+    measureCtx &&
+    layoutWordBank(measureCtx, {
+      ...wordBank,
+      items: wordBankItems,
+      font,
+      bold,
+      cell,
+      gridWidth: cols * cell,
+      gridHeight: rows * cell,
+      margin: m,
+    })
+  const width = bankLayout?.width ?? cols * cell + m * 2
+  const height = bankLayout?.height ?? rows * cell + m * 2
+
+  // Text as <text> in the named font, or as its traced outline (see
+  // ./textOutlines), which needs the even-odd rule to keep its holes.
+  const textElement = (text, { x, y, size, fill, anchor = 'middle', maxWidth, font: textFont }) => {
+    const measured = measure(text, textFont)
+    const squeeze = maxWidth && measured > maxWidth ? maxWidth / measured : 1
+    if (textAsPaths) {
+      const outline = textOutline(text, `${weight}${fontFamily}`)
+      if (outline) {
+        const offset = anchor === 'start' ? (measured * squeeze) / 2 : 0
+        const scale = `scale(${round(size * squeeze)} ${size})`
+        return `<path ${attrs({
+          d: outline,
+          fill,
+          'fill-rule': 'evenodd',
+          transform: `translate(${round(x + offset)} ${round(y)}) ${scale}`,
+        })}/>`
+      }
+    }
+    return `<text ${attrs({
+      x,
+      y,
+      fill,
+      'text-anchor': anchor,
+      textLength: squeeze < 1 ? maxWidth : undefined,
+      lengthAdjust: squeeze < 1 ? 'spacingAndGlyphs' : undefined,
+    })}>${escapeXml(text)}</text>`
+  }
+
+  // Opens a group that sets the font, by name, for the text inside it.
+  const textGroup = (size) =>
+    `<g ${attrs({
+      'font-family': `${font}, sans-serif`,
+      'font-weight': bold ? 'bold' : undefined,
+      'font-size': size,
+      'dominant-baseline': 'central',
+    })}>`
+
+  const parts = []
+
+  const keyPlacements = answerKey?.show ? placements : []
+  const keyLine = (placement, index, shape) => {
+    const wordCells = placementCells(placement, cellRules)
+    const [[r1, c1], [r2, c2]] = [wordCells[0], wordCells[wordCells.length - 1]]
+    const color = ANSWER_KEY_COLORS[index % ANSWER_KEY_COLORS.length]
+    const strokeWidth = shape === 'line' ? Math.max(2, cell * 0.12) : cell * 0.75
+    const x1 = m + c1 * cell + cell / 2
+    const y1 = m + r1 * cell + cell / 2
+    if (wordCells.length === 1) {
+      return `<circle ${attrs({
+        cx: x1,
+        cy: y1,
+        r: strokeWidth / 2,
+        fill: color,
+        'fill-opacity': answerKey.opacity,
+      })}/>`
+    }
+    return `<line ${attrs({
+      x1,
+      y1,
+      x2: m + c2 * cell + cell / 2,
+      y2: m + r2 * cell + cell / 2,
+      stroke: color,
+      'stroke-width': strokeWidth,
+      'stroke-linecap': 'round',
+      'stroke-opacity': answerKey.opacity,
+    })}/>`
+  }
+  if (answerKey?.shape !== 'line') {
+    parts.push(...keyPlacements.map((placement, index) => keyLine(placement, index, 'capsule')))
+  }
+
+  const cellColor = createCellColors({
+    colorMode,
+    solidColor,
+    gradientColors,
+    rows,
+    cols,
+    paletteColorProvider,
+  })
+  const letters = []
+  for (let i = 0; i < rows; i += 1) {
+    for (let j = 0; j < cols; j += 1) {
+      if (cells[i][j] === MASKED_CELL || !isCellOpen(mask, i, j)) continue
+      letters.push(
+        textElement(cells[i][j], {
+          x: m + j * cell + cell / 2,
+          y: m + i * cell + cell / 2,
+          size: fontSize,
+          fill: cellColor(i, j),
+          maxWidth: cell * 0.9,
+          font: fontSpec,
+        })
+      )
+    }
+  }
+  parts.push(textGroup(fontSize), ...letters, '</g>')
+
+  if (showSeparators || showBorder) {
+    const dash = getDashPattern(separatorStyle, lineThickness)
+    const segments = []
+    if (mask) {
+      forEachMaskEdge(mask, cols, rows, (x1, y1, x2, y2, isOutline) => {
+        if (isOutline ? !showBorder : !showSeparators) return
+        segments.push(`M${m + x1 * cell} ${m + y1 * cell}L${m + x2 * cell} ${m + y2 * cell}`)
+      })
+    } else {
+      if (showSeparators) {
+        for (let i = 1; i < cols; i += 1) segments.push(`M${m + i * cell} ${m}V${m + rows * cell}`)
+        for (let i = 1; i < rows; i += 1) segments.push(`M${m} ${m + i * cell}H${m + cols * cell}`)
+      }
+      if (showBorder) {
+        segments.push(`M${m} ${m}h${cols * cell}v${rows * cell}h${-cols * cell}Z`)
+      }
+    }
+    if (segments.length) {
+      parts.push(
+        `<path ${attrs({
+          d: segments.join(''),
+          fill: 'none',
+          stroke: separatorColor,
+          'stroke-width': lineThickness,
+          'stroke-dasharray': dash.length ? dash.join(' ') : undefined,
+        })}/>`
+      )
+    }
+  }
+
+  if (answerKey?.shape === 'line') {
+    parts.push(...keyPlacements.map((placement, index) => keyLine(placement, index, 'line')))
+  }
+
+  if (bankLayout) {
+    const bank = bankLayout.lines.map(({ text, index, x, y, maxWidth }) => {
+      const element = textElement(text, {
+        x,
+        y,
+        size: bankLayout.fontSize,
+        fill: solidColor,
+        anchor: 'start',
+        maxWidth,
+        font: bankLayout.fontSpec,
+      })
+      if (!answerKey?.show) return element
+      const strikeWidth = Math.min(measure(text, bankLayout.fontSpec), maxWidth)
+      return `${element}<line ${attrs({
+        x1: x,
+        y1: y,
+        x2: x + strikeWidth,
+        y2: y,
+        stroke: ANSWER_KEY_COLORS[index % ANSWER_KEY_COLORS.length],
+        'stroke-width': Math.max(1, bankLayout.fontSize * 0.1),
+      })}/>`
+    })
+    parts.push(textGroup(bankLayout.fontSize), ...bank, '</g>')
+  }
+
+  const svg = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attrs({
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`,
+    })}>`,
+    ...parts,
+    '</svg>',
+    '',
+  ].join('\n')
+  return { svg, width, height }
+}
+
+export default renderGridToSvg
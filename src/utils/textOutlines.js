@@ -0,0 +1,148 @@
+// Approximate text outlines without a font parser: the text is drawn large
+// on an offscreen canvas with the loaded web font, and the edges of the inked
+// pixels are traced into polygons and smoothed. They are not the font's own
+// curves: traced at RASTER_SIZE, they look right at the sizes a puzzle is
+// usually printed but show their facets when blown up to poster size. The SVG
+// export offers them, as an approximation, when the printer may not have the
+// font. Loops run both ways round, so paths must be filled even-odd.
+
+const RASTER_SIZE = 128
+const SMOOTHING = 0.6
+
+const outlineCache = new Map()
+
+// Boundary edges between inked and blank pixels, clockwise around the ink,
+// as a map from start corner to end corners. Corners are keyed y * stride + x.
+const boundaryEdges = (inked, width, height) => {
+  const stride = width + 1
+  const edges = new Map()
+  const add = (x1, y1, x2, y2) => {
+    const key = y1 * stride + x1
+    const list = edges.get(key)
+    if (list) list.push(y2 * stride + x2)
+    else edges.set(key, [y2 * stride + x2])
+  }
+  const at = (x, y) => x >= 0 && y >= 0 && x < width && y < height && inked[y * width + x]
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (!at(x, y)) continue
+      if (!at(x, y - 1)) add(x, y, x + 1, y)
+      if (!at(x + 1, y)) add(x + 1, y, x + 1, y + 1)
+      if (!at(x, y + 1)) add(x + 1, y + 1, x, y + 1)
+      if (!at(x - 1, y)) add(x, y + 1, x, y)
+    }
+  }
+  return { edges, stride }
+}
+
+// Links the edges into closed loops of corner points. Where two loops touch
+// at a corner either pairing is fine: the path is filled even-odd.
+const linkLoops = ({ edges, stride }) => {
+  const loops = []
+  for (const [start, ends] of edges) {
+    while (ends.length) {
+      const loop = []
+      let current = start
+      do {
+        loop.push([current % stride, Math.floor(current / stride)])
+        current = edges.get(current).pop()
+      } while (current !== start)
+      loops.push(loop)
+    }
+  }
+  return loops
+}
+
+const distanceToSegment = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSquared = dx * dx + dy * dy
+  if (!lengthSquared) return Math.hypot(px - ax, py - ay)
+  const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared))
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy))
+}
+
+// Ramer–Douglas–Peucker on an open polyline, iteratively.
+const simplifyPolyline = (points, tolerance) => {
+  const keep = new Uint8Array(points.length)
+  keep[0] = 1
+  keep[points.length - 1] = 1
+  const stack = [[0, points.length - 1]]
+  while (stack.length) {
+    const [first, last] = stack.pop()
+    let farthest = -1
+    let maxDistance = tolerance
+    for (let i = first + 1; i < last; i += 1) {
+      const distance = distanceToSegment(points[i], points[first], points[last])
+      if (distance > maxDistance) {
+        maxDistance = distance
+        farthest = i
+      }
+    }
+    if (farthest >= 0) {
+      keep[farthest] = 1
+      stack.push([first, farthest], [farthest, last])
+    }
+  }
+  return points.filter((_, i) => keep[i])
+}
+
+// Pixel staircases become slopes: the loop is cut at its point farthest from
+// the start and both halves are simplified.
+const simplifyLoop = (loop) => {
+  if (loop.length <= 4) return loop
+  let split = 1
+  for (let i = 1; i < loop.length; i += 1) {
+    if (Math.hypot(loop[i][0] - loop[0][0], loop[i][1] - loop[0][1]) >
+        Math.hypot(loop[split][0] - loop[0][0], loop[split][1] - loop[0][1])) {
+      split = i
+    }
+  }
+  const first = simplifyPolyline(loop.slice(0, split + 1), SMOOTHING)
+  const second = simplifyPolyline([...loop.slice(split), loop[0]], SMOOTHING)
+  return [...first, ...second.slice(1, -1)]
+}
+
+// SVG path data for `text` in `fontSpec` (a CSS font without its size),
+// centred on the origin like canvas text with textAlign 'center' and
+// textBaseline 'middle', at a font size of 1. Null outside the browser.
+export const textOutline = (text, fontSpec) => {
+  const key = `${fontSpec}|${text}`
+  if (outlineCache.has(key)) return outlineCache.get(key)
+  if (typeof document === 'undefined') return null
+
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return null
+  const font = `${RASTER_SIZE}px ${fontSpec}`
+  ctx.font = font
+  const padding = RASTER_SIZE / 4
+  canvas.width = Math.ceil(ctx.measureText(text).width + padding * 2)
+  canvas.height = RASTER_SIZE * 2
+  ctx.font = font
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillStyle = '#000000'
+  const cx = canvas.width / 2
+  const cy = canvas.height / 2
+  ctx.fillText(text, cx, cy)
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+  const inked = new Uint8Array(canvas.width * canvas.height)
+  for (let i = 0; i < inked.length; i += 1) inked[i] = data[i * 4 + 3] >= 128 ? 1 : 0
+
+  const round = (value) => Math.round(value * 10000) / 10000
+  const d = linkLoops(boundaryEdges(inked, canvas.width, canvas.height))
+    .map(simplifyLoop)
+    .map(
+      (loop) =>
+        `M${loop
+          .map(([x, y]) => `${round((x - cx) / RASTER_SIZE)} ${round((y - cy) / RASTER_SIZE)}`)
+          .join('L')}Z`
+    )
+    .join('')
+  outlineCache.set(key, d)
+  return d
+}
+
+export default textOutline
@@ -0,0 +1,79 @@
+import { ANSWER_KEY_COLORS } from '../constants/settings'
+
+// The word bank lists the words to find below or to the right of the grid, in
+// columns filled top to bottom. `items` are { text, index } in the order the
+// words were typed, `index` being the word's placement (and answer-key colour).
+// Text is measured with `ctx`, so the layout matches what the canvas draws.
+export const layoutWordBank = (
+  ctx,
+  { items, position, columns, order, font, bold, cell, gridWidth, gridHeight, margin }
+) => {
+  if (!items?.length || (position !== 'below' && position !== 'right')) {
+    return null
+  }
+
+  const fontSize = Math.max(10, Math.round(cell * 0.4))
+  const fontSpec = `${bold ? 'bold ' : ''}${fontSize}px "${font}"`
+  const lineHeight = Math.round(fontSize * 1.6)
+  const gap = fontSize
+  const sorted =
+    order === 'alphabetical'
+      ? [...items].sort((a, b) => a.text.localeCompare(b.text))
+      : items
+  const lines = sorted.map((item) => ({ ...item, text: item.text.toUpperCase() }))
+  const columnCount = Math.max(1, Math.min(Number(columns) || 1, lines.length))
+  const rowCount = Math.ceil(lines.length / columnCount)
+
+  ctx.save()
+  ctx.font = fontSpec
+  const widest = Math.max(...lines.map(({ text }) => ctx.measureText(text).width))
+  ctx.restore()
+
+  const below = position === 'below'
+  const columnWidth = below ? gridWidth / columnCount : Math.ceil(widest) + gap
+  const bankWidth = below ? gridWidth : columnCount * columnWidth - gap
+  const bankHeight = rowCount * lineHeight
+  const x0 = below ? margin : margin + gridWidth + gap
+  const y0 = below ? margin + gridHeight + gap : margin
+
+  return {
+    fontSpec,
+    fontSize,
+    width: below ? gridWidth + margin * 2 : gridWidth + gap + bankWidth + margin * 2,
+    height: below
+      ? gridHeight + gap + bankHeight + margin * 2
+      : Math.max(gridHeight, bankHeight) + margin * 2,
+    lines: lines.map((line, k) => ({
+      ...line,
+      x: x0 + Math.floor(k / rowCount) * columnWidth,
+      y: y0 + (k % rowCount) * lineHeight + lineHeight / 2,
+      maxWidth: columnWidth - (below ? gap / 2 : gap),
+    })),
+  }
+}
+
+// Draws a laid-out word bank; with `strike`, each word is struck through in
+// its answer-key colour.
+export const drawWordBank = (ctx, layout, { color, strike = false }) => {
+  ctx.save()
+  ctx.font = layout.fontSpec
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'middle'
+  ctx.setLineDash([])
+  ctx.lineWidth = Math.max(1, layout.fontSize * 0.1)
+  for (const { text, index, x, y, maxWidth } of layout.lines) {
+    ctx.fillStyle = color
+    ctx.fillText(text, x, y, maxWidth)
+    if (strike) {
+      const width = Math.min(ctx.measureText(text).width, maxWidth)
+      ctx.strokeStyle = ANSWER_KEY_COLORS[index % ANSWER_KEY_COLORS.length]
+      ctx.beginPath()
+      ctx.moveTo(x, y)
+      ctx.lineTo(x + width, y)
+      ctx.stroke()
+    }
+  }
+  ctx.restore()
+}
+
+export default layoutWordBank
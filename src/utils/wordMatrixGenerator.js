@@ -1,18 +1,69 @@
+import {
+  DIRECTIONS,
+  directionsForWord,
+  maxWordLength,
+  normalizeDirections,
+  startRange,
+} from './directions.js';
+import { createRandom } from './random.js';
+import { MASKED_CELL, isCellOpen } from './masks.js';
+
 /**
  * Generate a 2D grid of letters containing exactly one occurrence of `word`
- * (left-to-right or top-to-bottom), and every cell is a letter from `word`.
+ * (left-to-right or top-to-bottom unless `directions` says otherwise), and
+ * every cell is a letter from `word`.
  *
  * @param {number} width
  * @param {number} height
  * @param {string} word - the word to hide (case-sensitive)
  * @param {Object} [opts]
  * @param {'H'|'V'|'random'} [opts.orientation='random'] - force horizontal, vertical, or random
+ * @param {string[]} [opts.directions] - reading directions to use instead of `orientation`
+ * @param {boolean[][]} [opts.mask] - cells to leave out (false); they come back as MASKED_CELL
  * @param {number} [opts.maxAttempts=500] - max tries over different placements
- * @param {number} [opts.seed] - optional seed for reproducibility
+ * @param {number} [opts.timeLimitMs] - give up after this many milliseconds
+ * @param {number|string} [opts.seed] - optional seed for reproducibility
  * @returns {string[][]} grid of single-character strings
  * @throws if impossible to construct
  */
 export function generateUniqueWordGrid(width, height, word, opts = {}) {
+  return buildUniqueWordGrid(width, height, word, opts).grid;
+}
+
+/**
+ * Word-search adapter for the single-word generator: hides the first word
+ * using only its own letters (the `letters` argument is ignored) and reports
+ * it in the `{ grid, placements }` shape the other generators return. Any
+ * further words are left out, and the result is then `partial`.
+ *
+ * @param {string[]} words
+ * @param {string[]} letters
+ * @param {number} width
+ * @param {number} height
+ * @param {{ seed?: number|string, directions?: string[], mask?: boolean[][], maxAttempts?: number, timeLimitMs?: number, onProgress?: (ratio:number)=>void }} [options]
+ * @returns {{ grid: string[], placements: Array<{word:string,row:number,col:number,dir:string}>, partial: boolean }}
+ */
+export function generateUniqueWordSearchGrid(words, letters, width, height, options = {}) {
+  if (!Array.isArray(words)) throw new Error("words must be an array of strings.");
+  const [word, ...leftOut] = words.map(w => String(w).trim().toUpperCase()).filter(w => w.length > 0);
+  if (!word) throw new Error("Add a word to hide.");
+
+  const { grid, placement } = buildUniqueWordGrid(width, height, word, {
+    directions: normalizeDirections(options.directions),
+    mask: options.mask,
+    maxAttempts: options.maxAttempts,
+    timeLimitMs: options.timeLimitMs,
+    seed: options.seed,
+  });
+  if (options.onProgress) options.onProgress(1);
+  return {
+    grid: grid.map(row => row.join("")),
+    placements: [{ word, row: placement.i, col: placement.j, dir: placement.dir }],
+    partial: leftOut.length > 0,
+  };
+}
+
+function buildUniqueWordGrid(width, height, word, opts = {}) {
   if (!Number.isInteger(width) || width <= 0 ||
       !Number.isInteger(height) || height <= 0) {
     throw new Error("width and height must be positive integers.");
@@ -24,41 +75,22 @@ export function generateUniqueWordGrid(width, height, word, opts = {}) {
   const L = word.length;
   const orientationPref = opts.orientation || 'random';
   const maxAttempts = opts.maxAttempts ?? 500;
+  const deadline = opts.timeLimitMs ? Date.now() + opts.timeLimitMs : Infinity;
+  let timedOut = false;
 
   // Seedable RNG for stable output when you want it
-  const rng = (() => {
-    if (typeof opts.seed !== "number") return Math.random;
-    // Mulberry32
-    let t = opts.seed >>> 0;
-    return function() {
-      t += 0x6D2B79F5;
-      let r = Math.imul(t ^ (t >>> 15), 1 | t);
-      r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-    };
-  })();
+  const rng = createRandom(opts.seed);
+
+  const directions = opts.directions
+    ? normalizeDirections(opts.directions)
+    : orientationPref === 'random' ? ['H', 'V'] : [orientationPref];
 
   // Basic feasibility: at least one direction must fit.
-  const fitsH = width >= L;
-  const fitsV = height >= L;
-  if (!fitsH && !fitsV) {
-    throw new Error(`Grid too small to place "${word}" horizontally or vertically.`);
+  if (maxWordLength(directions, width, height) < L) {
+    throw new Error(`Grid too small to place "${word}" in the selected directions.`);
   }
 
-  // Special-case: single unique letter is only solvable in 1×L or L×1,
-  // otherwise duplicates are unavoidable.
   const uniqueLetters = [...new Set([...word])];
-  if (uniqueLetters.length === 1) {
-    if ((width === L && height === 1) || (width === 1 && height === L)) {
-      // trivial: fill all with that letter (exactly one occurrence)
-      const ch = uniqueLetters[0];
-      const grid = Array.from({ length: height }, () => Array(width).fill(ch));
-      return grid;
-    }
-    throw new Error(
-      `The word "${word}" has only one unique letter. A unique placement is only possible on a ${L}×1 or 1×${L} grid.`
-    );
-  }
 
   // Helper utils
   const inBounds = (i, j) => i >= 0 && i < height && j >= 0 && j < width;
@@ -77,17 +109,17 @@ export function generateUniqueWordGrid(width, height, word, opts = {}) {
 
   // Build every valid placement, then randomize the order we try them
   const placements = [];
-  const wantH = orientationPref === 'H' || (orientationPref === 'random' && fitsH);
-  const wantV = orientationPref === 'V' || (orientationPref === 'random' && fitsV);
-
-  if (wantH && fitsH) {
-    for (let i = 0; i < height; i++) {
-      for (let j = 0; j <= width - L; j++) placements.push({ dir: 'H', i, j });
-    }
-  }
-  if (wantV && fitsV) {
-    for (let i = 0; i <= height - L; i++) {
-      for (let j = 0; j < width; j++) placements.push({ dir: 'V', i, j });
+  const wordDirections = directionsForWord(word, directions);
+  const isOpen = (i, j) => isCellOpen(opts.mask, i, j);
+  for (const dir of wordDirections) {
+    const { dr, dc } = DIRECTIONS[dir];
+    const { rowMin, rowMax, colMin, colMax } = startRange(dir, L, width, height);
+    for (let i = rowMin; i <= rowMax; i++) {
+      for (let j = colMin; j <= colMax; j++) {
+        let open = true;
+        for (let k = 0; k < L && open; k++) open = isOpen(i + k * dr, j + k * dc);
+        if (open) placements.push({ dir, i, j });
+      }
     }
   }
 
@@ -95,13 +127,33 @@ export function generateUniqueWordGrid(width, height, word, opts = {}) {
     throw new Error("No valid placements match the requested orientation.");
   }
 
+  // Special-case: with a single unique letter every open cell holds it, so the
+  // word is unique only when the open cells are exactly one placement of it.
+  if (uniqueLetters.length === 1) {
+    let openCells = 0;
+    for (let i = 0; i < height; i++) {
+      for (let j = 0; j < width; j++) if (isOpen(i, j)) openCells++;
+    }
+    if (openCells === L && placements.length === 1) {
+      const ch = uniqueLetters[0];
+      const grid = Array.from({ length: height }, (_, i) =>
+        Array.from({ length: width }, (_, j) => (isOpen(i, j) ? ch : MASKED_CELL))
+      );
+      return { grid, placement: placements[0] };
+    }
+    throw new Error(
+      `The word "${word}" has only one unique letter. A unique placement is only possible when the open cells are a single line of ${L} in a selected direction.`
+    );
+  }
+
   const shuffledPlacements = shuffle(placements);
 
   // Core checkers
   function segmentEqualsWord(grid, si, sj, dir) {
+    const { dr, dc } = DIRECTIONS[dir];
     for (let k = 0; k < L; k++) {
-      const ii = dir === 'H' ? si : si + k;
-      const jj = dir === 'H' ? sj + k : sj;
+      const ii = si + k * dr;
+      const jj = sj + k * dc;
       if (!inBounds(ii, jj)) return false;
       const cell = grid[ii][jj];
       if (cell == null || cell !== word[k]) return false;
@@ -111,16 +163,12 @@ export function generateUniqueWordGrid(width, height, word, opts = {}) {
 
   function countOccurrences(grid) {
     let count = 0;
-    // Horizontal
-    for (let i = 0; i < height; i++) {
-      for (let j = 0; j <= width - L; j++) {
-        if (segmentEqualsWord(grid, i, j, 'H')) count++;
-      }
-    }
-    // Vertical
-    for (let i = 0; i <= height - L; i++) {
-      for (let j = 0; j < width; j++) {
-        if (segmentEqualsWord(grid, i, j, 'V')) count++;
+    for (const dir of wordDirections) {
+      const { rowMin, rowMax, colMin, colMax } = startRange(dir, L, width, height);
+      for (let i = rowMin; i <= rowMax; i++) {
+        for (let j = colMin; j <= colMax; j++) {
+          if (segmentEqualsWord(grid, i, j, dir)) count++;
+        }
       }
     }
     return count;
@@ -131,30 +179,17 @@ export function generateUniqueWordGrid(width, height, word, opts = {}) {
   }
 
   function createsUnwantedOccurrence(grid, i, j, placement) {
-    // Check any complete horizontal segment that ends at (i,j)
-    for (let start = j - (L - 1); start <= j; start++) {
-      if (start < 0 || start + L - 1 >= width) continue;
-      let complete = true;
-      for (let k = 0; k < L; k++) {
-        const cell = grid[i][start + k];
-        if (cell == null) { complete = false; break; }
-      }
-      if (complete) {
-        if (segmentEqualsWord(grid, i, start, 'H') && !isPlacedStart(i, start, 'H', placement)) {
-          return true;
+    // Check every complete segment, in any direction, that passes through (i,j)
+    for (const dir of wordDirections) {
+      const { dr, dc } = DIRECTIONS[dir];
+      for (let pos = 0; pos < L; pos++) {
+        const si = i - pos * dr, sj = j - pos * dc;
+        if (!inBounds(si, sj) || !inBounds(si + (L - 1) * dr, sj + (L - 1) * dc)) continue;
+        let complete = true;
+        for (let k = 0; k < L; k++) {
+          if (grid[si + k * dr][sj + k * dc] == null) { complete = false; break; }
         }
-      }
-    }
-    // Check any complete vertical segment that ends at (i,j)
-    for (let start = i - (L - 1); start <= i; start++) {
-      if (start < 0 || start + L - 1 >= height) continue;
-      let complete = true;
-      for (let k = 0; k < L; k++) {
-        const cell = grid[start + k][j];
-        if (cell == null) { complete = false; break; }
-      }
-      if (complete) {
-        if (segmentEqualsWord(grid, start, j, 'V') && !isPlacedStart(start, j, 'V', placement)) {
+        if (complete && segmentEqualsWord(grid, si, sj, dir) && !isPlacedStart(si, sj, dir, placement)) {
           return true;
         }
       }
@@ -166,17 +201,16 @@ export function generateUniqueWordGrid(width, height, word, opts = {}) {
   let attempts = 0;
   for (const placement of shuffledPlacements) {
     attempts++;
-    if (attempts > maxAttempts) break;
+    if (attempts > maxAttempts || timedOut) break;
 
-    // Start with empty grid
-    const grid = Array.from({ length: height }, () => Array(width).fill(null));
+    // Start with empty grid (masked cells are never filled)
+    const grid = Array.from({ length: height }, (_, i) =>
+      Array.from({ length: width }, (_, j) => (isOpen(i, j) ? null : MASKED_CELL))
+    );
 
     // Place the word
-    if (placement.dir === 'H') {
-      for (let k = 0; k < L; k++) grid[placement.i][placement.j + k] = word[k];
-    } else {
-      for (let k = 0; k < L; k++) grid[placement.i + k][placement.j] = word[k];
-    }
+    const { dr, dc } = DIRECTIONS[placement.dir];
+    for (let k = 0; k < L; k++) grid[placement.i + k * dr][placement.j + k * dc] = word[k];
 
     // Build variable cell list (everything not already set)
     const vars = [];
@@ -197,7 +231,10 @@ export function generateUniqueWordGrid(width, height, word, opts = {}) {
     let solved = false;
     const letterOrders = preferredLetters.slice(); // reuse order
 
+    let steps = 0;
     (function fill(idx) {
+      if (++steps % 256 === 0 && Date.now() > deadline) timedOut = true;
+      if (timedOut) return;
       if (idx === vars.length) {
         // Final safety: exactly 1 occurrence overall
         solved = countOccurrences(grid) === 1;
@@ -217,10 +254,13 @@ export function generateUniqueWordGrid(width, height, word, opts = {}) {
     })(0);
 
     if (solved) {
-      return grid.map(row => row.map(c => c ?? letters[0])); // all filled, but just in case
+      return { grid: grid.map(row => row.map(c => c ?? letters[0])), placement }; // all filled, but just in case
     }
   }
 
+  if (timedOut) {
+    throw new Error(`Couldn't build a unique grid for "${word}" at ${width}×${height} within ${opts.timeLimitMs / 1000} seconds.`);
+  }
   throw new Error(`Couldn't build a unique grid for "${word}" at ${width}×${height}. Try a different size, word, or increase maxAttempts.`);
 }
 
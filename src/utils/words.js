@@ -1,18 +1,65 @@
 import { WORD_SETS, WORDS_PER_FILL } from '../data/wordSets'
+import { LETTER_FOLDS } from '../data/alphabets'
 import { DEFAULT_DIMENSIONS } from '../constants/settings'
-import { getRandomUniqueItems } from './random'
+import { createRandom, getRandomUniqueItems } from './random'
 
 export const filterWordsByDimensions = (wordList, maxWidth, maxHeight) =>
   wordList.filter((word) => word.length <= maxWidth && word.length <= maxHeight)
 
+export const filterWordsByLength = (wordList, minLength = 0, maxLength = Infinity) =>
+  wordList.filter((word) => word.length >= minLength && word.length <= maxLength)
+
+// Entries of the words input: one per line when it has several lines,
+// otherwise separated by spaces with "quoted phrases" kept together. Entries
+// keep their spaces and punctuation for display; see wordCells in
+// ./graphemes for how they are placed.
+export const parseWordEntries = (text) => {
+  const source = String(text ?? '').trim()
+  const entries = source.includes('\n')
+    ? source.split('\n').map((line) => line.trim().replace(/^"(.*)"$/, '$1'))
+    : Array.from(source.matchAll(/"([^"]*)"|(\S+)/g), ([, quoted, bare]) => quoted ?? bare)
+  return entries.map((entry) => entry.trim()).filter(Boolean)
+}
+
+// A file name stem from the first entry of the words input.
+export const fileStemForWords = (words, fallback) =>
+  parseWordEntries(words)[0]?.replace(/\s+/g, '-') || fallback
+
+// The "Letter pairs" setting as a list of digraphs: the pairs it names,
+// separated by spaces or commas. Single letters are dropped.
+export const parseLetterPairs = (text) =>
+  String(text ?? '')
+    .split(/[\s,]+/)
+    .map((pair) => pair.toUpperCase())
+    .filter((pair) => Array.from(pair).length > 1)
+
+// How text in `language` is split into cells (see ./graphemes): the digraphs
+// named in `letterPairs` and, unless `folding` is 'none', the language's
+// letter folds; 'accents' also drops accents from every letter.
+export const cellRulesFor = (language, folding = 'none', letterPairs = '') => ({
+  digraphs: parseLetterPairs(letterPairs),
+  ...(folding !== 'none' && {
+    folding: { letters: LETTER_FOLDS[language] ?? {}, stripMarks: folding === 'accents' },
+  }),
+})
+
+// Bigger grids get more words: the default handful up to about 15×15, then
+// roughly one word per 40 cells (40 on a 40×40 poster).
+const wordCountForGrid = (width, height) =>
+  Math.max(WORDS_PER_FILL, Math.round((width * height) / 40))
+
+// Falls back to every word that fits the grid when none match the length range.
 export const pickRandomWordsForLanguage = (
   language,
   width = DEFAULT_DIMENSIONS.width,
-  height = DEFAULT_DIMENSIONS.height
+  height = DEFAULT_DIMENSIONS.height,
+  { seed, minLength, maxLength } = {}
 ) => {
   const availableWords = WORD_SETS[language] ?? []
-  const filteredWords = filterWordsByDimensions(availableWords, width, height)
-  return getRandomUniqueItems(filteredWords, WORDS_PER_FILL)
+  const fittingWords = filterWordsByDimensions(availableWords, width, height)
+  const inRange = filterWordsByLength(fittingWords, minLength, maxLength)
+  const pool = inRange.length ? inRange : fittingWords
+  return getRandomUniqueItems(pool, wordCountForGrid(width, height), createRandom(seed))
 }
 
 export const getDefaultWordsForLanguage = (